@@ -0,0 +1,43 @@
+// Permission model for staff accounts. "admin" is the super-admin role and
+// holds every permission; the other staff roles get a subset.
+const PERMISSIONS = [
+  "products:write",
+  "products:write:any",
+  "products:assign",
+  "categories:write",
+  "orders:manage",
+  "users:read",
+  "users:manage",
+  "reviews:moderate",
+  "coupons:manage",
+  "pricing:manage",
+  "reports:read"
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  admin: PERMISSIONS,
+  // Catalog managers may only edit products assigned to them
+  catalog_manager: ["products:write", "categories:write", "coupons:manage", "reports:read"],
+  support: ["orders:manage", "users:read", "reviews:moderate"]
+};
+
+const STAFF_ROLES = Object.keys(ROLE_PERMISSIONS).filter(role => role !== "user");
+
+const hasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+// True when the user may edit this product: any product with products:write:any,
+// otherwise only products assigned to them
+const canEditProduct = (user, product) =>
+  hasPermission(user.role, "products:write:any") ||
+  (hasPermission(user.role, "products:write") &&
+    !!product.assignedAdmin && product.assignedAdmin.toString() === user.id);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  STAFF_ROLES,
+  hasPermission,
+  canEditProduct
+};
@@ -1,9 +1,21 @@
 const express=require('express');
 const mongoose = require('mongoose');
+const path = require('path');
 const productRoutes = require('./routes/productRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const pricingRoutes = require('./routes/pricingRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const returnRoutes = require('./routes/returnRoutes');
+const shipmentRoutes = require('./routes/shipmentRoutes');
+const addressRoutes = require('./routes/addressRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const paymentService = require('./services/paymentService');
 const dotenv = require('dotenv');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const errorHandler = require('./middleware/errorHandler');
+const httpError = require('./utils/httpError');
 
 // Load environment variables
 dotenv.config();
@@ -11,9 +23,13 @@ dotenv.config();
 const app=express();
 
 // Middleware
-app.use(express.json());
+// The raw body is kept for verifying payment webhook signatures
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true }));
 
+// Uploaded media (local storage driver)
+app.use(process.env.UPLOAD_BASE_URL || '/uploads', express.static(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads')));
+
 // MongoDB Connection
 mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/miniproject')
 .then(() => console.log('✅ MongoDB connected'))
@@ -42,6 +58,88 @@ const swaggerOptions = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT'
+        },
+        CartToken: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Cart-Token'
+        },
+        CarrierToken: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Carrier-Token'
+        }
+      },
+      // Query parameters shared by the /api/reports endpoints
+      parameters: {
+        ReportFrom: {
+          in: 'query',
+          name: 'from',
+          description: 'Start of the range (inclusive); defaults to 30 days before to',
+          schema: { type: 'string', format: 'date-time' }
+        },
+        ReportTo: {
+          in: 'query',
+          name: 'to',
+          description: 'End of the range (exclusive); defaults to now',
+          schema: { type: 'string', format: 'date-time' }
+        },
+        ReportFormat: {
+          in: 'query',
+          name: 'format',
+          description: 'csv downloads the report as a CSV file',
+          schema: { type: 'string', enum: ['json', 'csv'], default: 'json' }
+        },
+        ReportSortBy: {
+          in: 'query',
+          name: 'sortBy',
+          schema: { type: 'string', enum: ['units', 'revenue'], default: 'revenue' }
+        },
+        ReportLimit: {
+          in: 'query',
+          name: 'limit',
+          schema: { type: 'integer', default: 10, maximum: 100 }
+        }
+      },
+      schemas: {
+        // Delivery address (address book entries and order snapshots)
+        Address: {
+          type: 'object',
+          required: ['name', 'line1', 'city', 'postalCode', 'country', 'phone'],
+          properties: {
+            name: { type: 'string', description: 'Recipient' },
+            line1: { type: 'string' },
+            line2: { type: 'string' },
+            city: { type: 'string' },
+            state: { type: 'string', description: 'State or province; a subdivision code such as KA also selects regional shipping and tax rules' },
+            postalCode: { type: 'string', description: 'Checked against the country format' },
+            country: { type: 'string', example: 'IN', description: 'ISO 3166-1 alpha-2' },
+            phone: { type: 'string' }
+          }
+        },
+        // Body of every 4xx/5xx response
+        Error: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', example: 'VALIDATION_ERROR' },
+                message: { type: 'string' },
+                fields: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      location: { type: 'string', example: 'body' },
+                      field: { type: 'string' },
+                      message: { type: 'string' }
+                    }
+                  }
+                }
+              }
+            }
+          }
         }
       }
     }
@@ -54,6 +152,14 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 
 // API Routes
 app.use('/api/products', productRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/pricing', pricingRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/shipments', shipmentRoutes);
+app.use('/api/addresses', addressRoutes);
+app.use('/api/reports', reportRoutes);
 
 // Health Check
 app.get('/', (req, res) => {
@@ -62,10 +168,13 @@ app.get('/', (req, res) => {
 
 
 // 404 Handler
-app.use((req, res) => {
-  res.status(404).json({ message: 'Route not found' });
+app.use((req, res, next) => {
+  next(httpError(404, 'Route not found'));
 });
 
+// Error Handler - every error response uses { error: { code, message, fields } }
+app.use(errorHandler);
+
 
 
 const PORT = process.env.PORT || 5000;
@@ -73,3 +182,6 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
 });
+
+// Cancel orders whose payment window has closed
+paymentService.startUnpaidOrderSweeper();
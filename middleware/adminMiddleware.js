@@ -1,8 +0,0 @@
-module.exports=(req,res,next) => {
-    if(req.user.role!=="admin") {
-        return res.status(403).json({
-            message:"admin acces denied"
-        })
-    }
-    next();
-}
\ No newline at end of file
@@ -1,15 +1,23 @@
 const jwt=require("jsonwebtoken");
-module.exports=(req,res,next)=> {
+const User=require("../models/user");
+const httpError=require("../utils/httpError");
+module.exports=async(req,res,next)=> {
     const authHeader=req.headers.authorization;
     if(!authHeader|| !authHeader.startsWith("Bearer ")){
-        return res.status(401).json({message:"No token"});
+        return next(httpError(401,"No token"));
     }
     const token=authHeader.split(" ")[1];
+    let decoded;
     try {
-        const decoded=jwt.verify(token,process.env.JWT_SECRET);
-        req.user=decoded;
-        next();
+        decoded=jwt.verify(token,process.env.JWT_SECRET);
     }catch(error){
-        res.status(401).json({message:"Invalid token"});
+        return next(httpError(401,"Invalid token"));
     }
-};
\ No newline at end of file
+    // Tokens issued before the user's tokenVersion was bumped (logout everywhere) are revoked
+    const user=await User.findById(decoded.id).select("tokenVersion");
+    if(!user || (decoded.tokenVersion||0)!==user.tokenVersion){
+        return next(httpError(401,"Token revoked"));
+    }
+    req.user=decoded;
+    next();
+};
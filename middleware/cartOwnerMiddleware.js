@@ -0,0 +1,21 @@
+const auth=require("./authMiddleware");
+const httpError=require("../utils/httpError");
+// Cart routes work for a logged-in user (Bearer token) or for a guest holding
+// an anonymous cart token (X-Cart-Token header). Sets req.cartOwner for cartService.
+module.exports=(req,res,next)=> {
+    if(req.headers.authorization){
+        // A Bearer token wins over X-Cart-Token. auth returns a promise
+        // (it looks the user up), so its rejections go to next as well.
+        return Promise.resolve(auth(req,res,(error)=> {
+            if(error) return next(error);
+            req.cartOwner={userId:req.user.id};
+            next();
+        })).catch(next);
+    }
+    const guestToken=req.headers["x-cart-token"];
+    if(!guestToken){
+        return next(httpError(401,"Login or provide an X-Cart-Token header"));
+    }
+    req.cartOwner={guestToken};
+    next();
+};
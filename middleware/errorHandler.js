@@ -0,0 +1,38 @@
+const httpError=require("../utils/httpError");
+// Turns anything thrown by a route into { error: { code, message, fields[] } }.
+// Unexpected errors are logged and answered with a generic 500 so internals don't leak.
+const normalize=(err)=> {
+    if(err.name==="HttpError"){
+        return err;
+    }
+    if(err.name==="CastError"){
+        return httpError(400,`Invalid ${err.path}`,{code:"INVALID_ID",fields:[{field:err.path,message:`${err.path} is not valid`}]});
+    }
+    if(err.name==="ValidationError" && err.errors){
+        const fields=Object.values(err.errors).map(e=>({field:e.path,message:e.message}));
+        return httpError(400,"Validation failed",{code:"VALIDATION_ERROR",fields});
+    }
+    if(err.code===11000){
+        const fields=Object.keys(err.keyValue||{}).map(field=>({field,message:`${field} already exists`}));
+        return httpError(409,"Duplicate value",{code:"DUPLICATE",fields});
+    }
+    if(err.type==="entity.parse.failed"){
+        return httpError(400,"Malformed JSON body",{code:"INVALID_JSON"});
+    }
+    if(err.status && err.status<500){
+        return httpError(err.status,err.message);
+    }
+    console.error(err);
+    return httpError(500,"Internal server error");
+};
+module.exports=(err,req,res,next)=> {
+    const error=normalize(err);
+    res.status(error.status).json({
+        error:{
+            code:error.code,
+            message:error.message,
+            fields:error.fields||[],
+            ...(error.details ? {details:error.details} : {})
+        }
+    });
+};
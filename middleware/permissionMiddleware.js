@@ -0,0 +1,12 @@
+const { hasPermission }=require("../config/permissions");
+const httpError=require("../utils/httpError");
+// Usage: router.get("/path", auth, requirePermission("users:read"), handler)
+module.exports=(...permissions)=>(req,res,next)=> {
+    if(!req.user){
+        return next(httpError(401,"No token"));
+    }
+    if(!permissions.every(permission=>hasPermission(req.user.role,permission))){
+        return next(httpError(403,"Permission denied"));
+    }
+    next();
+};
@@ -0,0 +1,25 @@
+const multer=require("multer");
+const httpError=require("../utils/httpError");
+const MAX_FILES=10;
+const IMAGE_TYPES=["image/jpeg","image/png","image/webp"];
+// Files are kept in memory; imageService validates and stores them.
+// Built per request so MAX_IMAGE_BYTES (default 5 MB) from .env applies.
+const upload=()=>multer({
+    storage:multer.memoryStorage(),
+    limits:{fileSize:Number(process.env.MAX_IMAGE_BYTES)||5*1024*1024,files:MAX_FILES},
+    fileFilter:(req,file,cb)=> {
+        if(!IMAGE_TYPES.includes(file.mimetype)){
+            return cb(httpError(400,`${file.originalname} is not a JPEG, PNG or WebP image`,{code:"INVALID_FILE_TYPE"}));
+        }
+        cb(null,true);
+    }
+});
+// Usage: router.post("/path", auth, uploadImages("images"), handler)
+module.exports=(field)=>(req,res,next)=> {
+    upload().array(field,MAX_FILES)(req,res,(err)=> {
+        if(err instanceof multer.MulterError){
+            return next(httpError(400,err.message,{code:err.code}));
+        }
+        next(err);
+    });
+};
@@ -0,0 +1,25 @@
+const httpError=require("../utils/httpError");
+const PARTS=["params","query","body"];
+// Validates req.params/query/body against Joi schemas and replaces them with
+// the converted values. Usage: validate({ params: idParams, body: addProductBody })
+module.exports=(schemas)=>(req,res,next)=> {
+    const fields=[];
+    for(const part of PARTS){
+        if(!schemas[part]) continue;
+        const {error,value}=schemas[part].validate(req[part]||{},{abortEarly:false,stripUnknown:true});
+        if(error){
+            fields.push(...error.details.map(detail=>({
+                location:part,
+                field:detail.path.join("."),
+                message:detail.message.replace(/"/g,"")
+            })));
+            continue;
+        }
+        // req.query is a read-only getter in Express 5
+        Object.defineProperty(req,part,{value,writable:true,configurable:true,enumerable:true});
+    }
+    if(fields.length){
+        return next(httpError(400,"Validation failed",{code:"VALIDATION_ERROR",fields}));
+    }
+    next();
+};
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+// Structured postal address, shared by the user address book and the
+// snapshot stored on orders. Only line1 is required here: addresses migrated
+// from the old free-text field have nothing else. New addresses are checked
+// more strictly by validators/addressSchemas.js.
+const addressFields = {
+  // Recipient
+  name: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  line1: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  line2: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  city: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  // State or province; a subdivision code (e.g. "KA") also picks region-specific shipping and tax rules
+  state: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  postalCode: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  // ISO 3166-1 alpha-2, e.g. "IN"
+  country: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: ""
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: ""
+  }
+};
+
+// Snapshot on an order
+const addressSchema = new mongoose.Schema(addressFields, { _id: false });
+
+// Entry of a user's address book
+const addressBookSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  ...addressFields,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = {
+  addressSchema,
+  addressBookSchema
+};
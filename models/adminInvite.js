@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+const { STAFF_ROLES } = require("../config/permissions");
+
+// Single-use invitation for creating a staff account. Only the token's
+// SHA-256 hash is stored; the raw token is shown once to the inviting admin.
+const adminInviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: STAFF_ROLES,
+    default: "admin"
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  },
+  usedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model("AdminInvite", adminInviteSchema);
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// Append-only record of sensitive admin actions (role changes, invites, ...)
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
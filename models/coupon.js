@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+
+// A discount code. Percentage coupons take `value` percent off the eligible
+// items (capped at maxDiscount); fixed coupons take `value` off, at most the
+// eligible amount. With no products or categories every item is eligible.
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ""
+  },
+  type: {
+    type: String,
+    enum: ["percentage", "fixed"],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  // Order subtotal (before discounts) needed to use the coupon
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Categories include their subcategories
+  categories: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category"
+    }
+  ],
+  products: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product"
+    }
+  ],
+  // Unset means unlimited
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1
+  },
+  // Orders that used the coupon and were not cancelled (see CouponRedemption)
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startsAt: {
+    type: Date
+  },
+  endsAt: {
+    type: Date
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model("Coupon", couponSchema);
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// One use of a coupon by an order. Deleted again when the order is cancelled,
+// so per-user limits count only orders that stand.
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Coupon",
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    required: true,
+    unique: true
+  },
+  discount: {
+    type: Number,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+couponRedemptionSchema.index({ couponId: 1, userId: 1 });
+
+module.exports = mongoose.model("CouponRedemption", couponRedemptionSchema);
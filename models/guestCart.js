@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// Cart of a logged-out shopper, identified by the anonymous token sent in the
+// X-Cart-Token header. It is merged into the user's cart on login and
+// removed automatically once it expires.
+const guestCartSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  cart: [
+    {
+      productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product"
+      },
+      // Set for products with variants (Product.variants._id)
+      variantId: {
+        type: mongoose.Schema.Types.ObjectId
+      },
+      quantity: {
+        type: Number,
+        default: 1
+      },
+      addedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model("GuestCart", guestCartSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { addressSchema } = require("./addressSchema");
 
 const orderSchema = new mongoose.Schema({
   userId: {
@@ -16,6 +17,17 @@ const orderSchema = new mongoose.Schema({
       productName: {
         type: String
       },
+      variantId: {
+        type: mongoose.Schema.Types.ObjectId
+      },
+      sku: {
+        type: String
+      },
+      // Snapshot of the variant's options, e.g. { Size: "M" }
+      variantAttributes: {
+        type: Map,
+        of: String
+      },
       quantity: {
         type: Number,
         required: true,
@@ -27,15 +39,90 @@ const orderSchema = new mongoose.Schema({
       },
       subtotal: {
         type: Number
+      },
+      // This line's share of discountTotal
+      discount: {
+        type: Number,
+        default: 0
+      },
+      // Tax on subtotal minus discount, at taxRate percent
+      taxRate: {
+        type: Number,
+        default: 0
+      },
+      tax: {
+        type: Number,
+        default: 0
+      },
+      // Units claimed by return requests that were not rejected
+      returnedQuantity: {
+        type: Number,
+        default: 0
       }
     }
   ],
+  // Sum of the item subtotals, before discounts
+  subtotal: {
+    type: Number
+  },
+  discountTotal: {
+    type: Number,
+    default: 0
+  },
+  shippingTotal: {
+    type: Number,
+    default: 0
+  },
+  taxTotal: {
+    type: Number,
+    default: 0
+  },
+  // Amount charged: subtotal - discountTotal + shippingTotal + taxTotal
   totalAmount: {
     type: Number,
     required: true
   },
+  coupon: {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon"
+    },
+    code: {
+      type: String
+    },
+    type: {
+      type: String
+    },
+    value: {
+      type: Number
+    }
+  },
+  // Region code the shipping and tax rules were picked for, e.g. "IN-KA"
+  region: {
+    type: String
+  },
+  // The shipping rule that priced shippingTotal
+  shipping: {
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ShippingRule"
+    },
+    name: {
+      type: String
+    },
+    method: {
+      type: String
+    },
+    weight: {
+      type: Number
+    },
+    freeShipping: {
+      type: Boolean
+    }
+  },
+  // Copy of the address at ordering time, so later address book edits do not change it
   deliveryAddress: {
-    type: String,
+    type: addressSchema,
     required: true
   },
   paymentMethod: {
@@ -43,20 +130,108 @@ const orderSchema = new mongoose.Schema({
     enum: ["credit_card", "debit_card", "upi", "net_banking", "wallet"],
     required: true
   },
+  // Set from the payment provider's webhooks by paymentService; refunds move
+  // a completed payment to partially_refunded or refunded
   paymentStatus: {
     type: String,
-    enum: ["pending", "completed", "failed"],
+    enum: ["pending", "completed", "failed", "partially_refunded", "refunded"],
     default: "pending"
   },
+  // Pending orders not paid by then are cancelled by paymentService.cancelUnpaidOrders
+  paymentDueAt: {
+    type: Date
+  },
+  paidAt: {
+    type: Date
+  },
+  refundedTotal: {
+    type: Number,
+    default: 0
+  },
+  refunds: [
+    {
+      amount: {
+        type: Number,
+        required: true
+      },
+      reason: {
+        type: String,
+        default: ""
+      },
+      returnId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ReturnRequest"
+      },
+      provider: {
+        type: String
+      },
+      // The provider's id for the refund, set once it accepted it
+      providerRefundId: {
+        type: String
+      },
+      createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
   orderStatus: {
     type: String,
-    enum: ["pending", "confirmed", "processing", "shipped", "delivered", "cancelled"],
+    enum: ["pending", "confirmed", "processing", "shipped", "delivered", "cancelled", "returned"],
     default: "pending"
   },
+  // Append-only log of orderStatus changes, written by orderService.transitionOrder
+  statusHistory: [
+    {
+      from: {
+        type: String
+      },
+      to: {
+        type: String,
+        required: true
+      },
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+      },
+      note: {
+        type: String,
+        default: ""
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
+  cancellation: {
+    reason: {
+      type: String,
+      default: ""
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    cancelledAt: {
+      type: Date
+    },
+    // Set once the items have been put back in stock, so it only happens once
+    stockRestored: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Latest tracking event across the order's shipments (see models/shipment.js),
+  // kept up to date by shipmentService
   deliveryTracking: {
     status: {
       type: String,
-      enum: ["not_shipped", "in_transit", "out_for_delivery", "delivered"],
+      enum: ["not_shipped", "label_created", "in_transit", "out_for_delivery", "delivered", "exception"],
       default: "not_shipped"
     },
     location: {
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+// One attempt to pay an order through a payment provider. An order can have
+// several (a failed attempt is followed by a new intent); at most one succeeds.
+const paymentSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // The provider's id for the payment intent
+  intentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  // Handed to the client to complete the payment; kept so an open intent can be reused
+  clientSecret: {
+    type: String,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ["requires_payment", "succeeded", "failed"],
+    default: "requires_payment"
+  },
+  failureReason: {
+    type: String,
+    default: ""
+  },
+  // Ids of the webhook events already applied, so provider retries are ignored
+  processedEvents: [String],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+paymentSchema.index({ orderId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Payment", paymentSchema);
@@ -13,40 +13,139 @@ const productSchema = new mongoose.Schema({
     type: String
   },
   category: {
-    type: String
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category"
   },
   stock: {
     type: Number,
     default: 0
   },
-  assignedAdmin: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: "User"
+  // Shipping weight in kg
+  weight: {
+    type: Number,
+    default: 0,
+    min: 0
   },
-  reviews: [
+  // Variant options, e.g. [{ name: "Size", values: ["S", "M", "L"] }]
+  options: [
     {
-      userId: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: "User"
+      name: {
+        type: String,
+        required: true,
+        trim: true
       },
-      userName: {
-        type: String
+      values: [
+        {
+          type: String,
+          trim: true
+        }
+      ]
+    }
+  ],
+  // Sellable SKUs, one value per option in `attributes`. When a product has
+  // variants, `price` is the lowest variant price and `stock` the sum of
+  // variant stock; stock changes update both in the same write.
+  variants: [
+    {
+      sku: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      attributes: {
+        type: Map,
+        of: String,
+        default: {}
       },
-      rating: {
+      price: {
         type: Number,
-        min: 1,
-        max: 5,
+        required: true,
+        min: 0
+      },
+      stock: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      // Overrides the product's weight when set
+      weight: {
+        type: Number,
+        min: 0
+      }
+    }
+  ],
+  // Files live in the configured storage backend (services/storage)
+  images: [
+    {
+      key: {
+        type: String,
+        required: true
+      },
+      url: {
+        type: String,
         required: true
       },
-      comment: {
+      thumbnailKey: {
+        type: String
+      },
+      thumbnailUrl: {
         type: String
       },
+      alt: {
+        type: String,
+        default: ""
+      },
+      position: {
+        type: Number,
+        default: 0
+      },
+      isPrimary: {
+        type: Boolean,
+        default: false
+      },
+      contentType: {
+        type: String
+      },
+      size: {
+        type: Number
+      },
+      width: {
+        type: Number
+      },
+      height: {
+        type: Number
+      },
       createdAt: {
         type: Date,
         default: Date.now
       }
     }
   ],
+  // Lifecycle: only active products whose publishAt has passed (or is unset)
+  // and that are not soft-deleted appear on the storefront. Deleted products
+  // are kept so orders and reviews can still resolve them.
+  status: {
+    type: String,
+    enum: ["draft", "active", "archived"],
+    default: "draft"
+  },
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  assignedAdmin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  // Kept in sync with the approved reviews in the Review collection
   averageRating: {
     type: Number,
     default: 0
@@ -65,4 +164,13 @@ const productSchema = new mongoose.Schema({
   }
 });
 
+// Storefront listing: text search plus the filter/sort fields used by GET /
+productSchema.index({ name: "text", description: "text" }, { weights: { name: 5, description: 1 } });
+productSchema.index({ category: 1, price: 1 });
+productSchema.index({ "variants.sku": 1 }, { unique: true, sparse: true });
+productSchema.index({ price: 1, _id: 1 });
+productSchema.index({ averageRating: -1, _id: -1 });
+productSchema.index({ createdAt: -1, _id: -1 });
+productSchema.index({ status: 1, deletedAt: 1, publishAt: 1 });
+
 module.exports = mongoose.model("Product", productSchema);
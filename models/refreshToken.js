@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// Refresh tokens are stored as SHA-256 hashes. Every token issued by rotating
+// another one shares its family, so reuse of a rotated token can revoke the
+// whole login session.
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  replacedByHash: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
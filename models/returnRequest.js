@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+
+// A customer's request to send back lines of a delivered order (RMA).
+//   requested -> approved | rejected
+//   approved  -> received   (goods are back; restocked unless damaged)
+//   received  -> refunded   (refund recorded on the order)
+const returnRequestSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  items: [
+    {
+      // _id of the line in order.items
+      itemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+      },
+      productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+        required: true
+      },
+      productName: {
+        type: String
+      },
+      variantId: {
+        type: mongoose.Schema.Types.ObjectId
+      },
+      sku: {
+        type: String
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1
+      },
+      reason: {
+        type: String,
+        default: ""
+      },
+      // What the customer paid for these units: their share of the line's
+      // subtotal after discount, plus tax
+      refundAmount: {
+        type: Number,
+        required: true
+      }
+    }
+  ],
+  reason: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ["requested", "approved", "rejected", "received", "refunded"],
+    default: "requested"
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String,
+    default: ""
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  receivedAt: {
+    type: Date
+  },
+  restocked: {
+    type: Boolean,
+    default: false
+  },
+  // _id of the entry in order.refunds
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+returnRequestSchema.index({ orderId: 1 });
+returnRequestSchema.index({ userId: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("ReturnRequest", returnRequestSchema);
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+// One review per user and product. New and edited reviews wait for
+// moderation; only approved ones are shown and counted in the product's
+// averageRating/totalReviews.
+const reviewSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  userName: {
+    type: String
+  },
+  rating: {
+    type: Number,
+    min: 1,
+    max: 5,
+    required: true
+  },
+  comment: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ["pending", "approved", "rejected"],
+    default: "pending"
+  },
+  // The reviewer has a delivered order containing the product
+  verifiedPurchase: {
+    type: Boolean,
+    default: false
+  },
+  // Number of ReviewVote documents for this review
+  helpfulCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  moderatedAt: {
+    type: Date
+  },
+  moderationNote: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reviewSchema.index({ productId: 1, userId: 1 }, { unique: true });
+// Product review pages (one per sort) and the moderation queue
+reviewSchema.index({ productId: 1, status: 1, createdAt: -1, _id: -1 });
+reviewSchema.index({ productId: 1, status: 1, helpfulCount: -1, createdAt: -1 });
+reviewSchema.index({ productId: 1, status: 1, rating: -1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: 1, _id: 1 });
+
+module.exports = mongoose.model("Review", reviewSchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// A user marking a review as helpful, at most once per review
+const reviewVoteSchema = new mongoose.Schema({
+  reviewId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Review",
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reviewVoteSchema.index({ reviewId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model("ReviewVote", reviewVoteSchema);
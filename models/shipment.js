@@ -0,0 +1,110 @@
+const mongoose = require("mongoose");
+
+const SHIPMENT_STATUSES = ["label_created", "in_transit", "out_for_delivery", "delivered", "exception"];
+
+// One package of an order. An order can ship in several packages, each with
+// some of its lines; events is the carrier's append-only tracking history.
+const shipmentSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    required: true
+  },
+  carrier: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    required: true
+  },
+  trackingNumber: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  items: [
+    {
+      // _id of the line in order.items
+      itemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+      },
+      productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product"
+      },
+      productName: {
+        type: String
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1
+      }
+    }
+  ],
+  // Status of the latest event by occurredAt
+  status: {
+    type: String,
+    enum: SHIPMENT_STATUSES,
+    default: "label_created"
+  },
+  estimatedDelivery: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  },
+  events: [
+    {
+      status: {
+        type: String,
+        enum: SHIPMENT_STATUSES,
+        required: true
+      },
+      location: {
+        type: String,
+        default: ""
+      },
+      description: {
+        type: String,
+        default: ""
+      },
+      // When it happened according to the carrier
+      occurredAt: {
+        type: Date,
+        required: true
+      },
+      recordedAt: {
+        type: Date,
+        default: Date.now
+      },
+      // "manual" (staff) or "feed" (carrier feed)
+      source: {
+        type: String,
+        default: "manual"
+      },
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+      }
+    }
+  ],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+shipmentSchema.index({ carrier: 1, trackingNumber: 1 }, { unique: true });
+shipmentSchema.index({ trackingNumber: 1 });
+shipmentSchema.index({ orderId: 1, createdAt: 1 });
+
+module.exports = mongoose.model("Shipment", shipmentSchema);
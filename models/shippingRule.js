@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+// How shipping is charged in a region. The most specific active rule for an
+// order's region applies ("IN-KA" before "IN" before a rule with no region).
+//   flat:   flatRate per order
+//   weight: the first tier whose upTo (kg) covers the order's total weight
+//   amount: the first tier whose upTo covers the order amount after discounts
+// A tier without upTo covers everything above the previous tiers. Orders at
+// or above freeShippingThreshold (after discounts) ship free.
+const shippingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  region: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
+  },
+  method: {
+    type: String,
+    enum: ["flat", "weight", "amount"],
+    required: true
+  },
+  flatRate: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  tiers: [
+    {
+      upTo: {
+        type: Number,
+        min: 0
+      },
+      rate: {
+        type: Number,
+        min: 0,
+        required: true
+      }
+    }
+  ],
+  freeShippingThreshold: {
+    type: Number,
+    min: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model("ShippingRule", shippingRuleSchema);
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// Tax rate (percent) for a region and/or category. Each order line is taxed
+// on its amount after discounts by the most specific active rule: one for the
+// line's own category, then one for a parent category, then one without a
+// category; within those, the longest matching region ("IN-KA" before "IN").
+const taxRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  region: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
+    default: null
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model("TaxRule", taxRuleSchema);
@@ -1,31 +1,43 @@
 const mongoose = require("mongoose");
+const { addressBookSchema } = require("./addressSchema");
 
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true
   },
+  // Lowercased, so lookups by the (lowercased) login email find it
   email: {
     type: String,
     required: true,
-    unique: true
+    unique: true,
+    trim: true,
+    lowercase: true
   },
   password: {
     type: String,
     required: true
   },
+  // Staff roles and their permissions are defined in config/permissions.js
   role: {
     type: String,
-    enum: ["user", "admin"],
+    enum: ["user", "admin", "catalog_manager", "support"],
     default: "user"
   },
+  // Embedded in access tokens; bumping it invalidates every token already issued
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   phone: {
     type: String,
     default: ""
   },
-  address: {
-    type: String,
-    default: ""
+  // Address book; checkout uses defaultAddressId unless another address is chosen
+  addresses: [addressBookSchema],
+  defaultAddressId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
   },
   cart: [
     {
@@ -33,6 +45,10 @@ const userSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: "Product"
       },
+      // Set for products with variants (Product.variants._id)
+      variantId: {
+        type: mongoose.Schema.Types.ObjectId
+      },
       quantity: {
         type: Number,
         default: 1
@@ -43,6 +59,29 @@ const userSchema = new mongoose.Schema({
       }
     }
   ],
+  // Saved products. The price and stock at saving time are kept so the list
+  // can show price drops and items coming back in stock.
+  wishlist: [
+    {
+      productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product"
+      },
+      variantId: {
+        type: mongoose.Schema.Types.ObjectId
+      },
+      savedPrice: {
+        type: Number
+      },
+      savedInStock: {
+        type: Boolean
+      },
+      addedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,174 @@
+const express=require('express');
+const auth=require("../middleware/authMiddleware");
+const validate=require("../middleware/validate");
+const { addressIdParams, createAddressBody, updateAddressBody }=require("../validators/addressSchemas");
+const addressService=require("../services/addressService");
+const router=express.Router();
+
+
+// List Addresses (user)
+/**
+ * @swagger
+ * /api/addresses:
+ *   get:
+ *     tags:
+ *       - Addresses
+ *     summary: Your address book, with the default address flagged
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved addresses
+ */
+router.get("/", auth, async (req, res) => {
+  const addresses = await addressService.listAddresses(req.user.id);
+
+  res.json({
+    message: "Addresses retrieved successfully",
+    count: addresses.length,
+    addresses
+  });
+});
+
+// Add Address (user)
+/**
+ * @swagger
+ * /api/addresses:
+ *   post:
+ *     tags:
+ *       - Addresses
+ *     summary: Save an address
+ *     description: The first address saved becomes the default. At most 20 addresses can be saved.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Address'
+ *               - type: object
+ *                 properties:
+ *                   label:
+ *                     type: string
+ *                     example: Home
+ *                   isDefault:
+ *                     type: boolean
+ *     responses:
+ *       201:
+ *         description: Address saved; returns the address book
+ *       400:
+ *         description: Invalid address or address book full
+ */
+router.post("/", auth, validate({ body: createAddressBody }), async (req, res) => {
+  const addresses = await addressService.addAddress(req.user.id, req.body);
+
+  res.status(201).json({
+    message: "Address saved",
+    addresses
+  });
+});
+
+// Update Address (user)
+/**
+ * @swagger
+ * /api/addresses/{addressId}:
+ *   put:
+ *     tags:
+ *       - Addresses
+ *     summary: Edit a saved address (orders keep the address they were placed with)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Any address field, label or isDefault
+ *     responses:
+ *       200:
+ *         description: Address updated; returns the address book
+ *       404:
+ *         description: Address not found
+ */
+router.put("/:addressId", auth, validate({ params: addressIdParams, body: updateAddressBody }), async (req, res) => {
+  const addresses = await addressService.updateAddress(req.user.id, req.params.addressId, req.body);
+
+  res.json({
+    message: "Address updated",
+    addresses
+  });
+});
+
+// Set Default Address (user)
+/**
+ * @swagger
+ * /api/addresses/{addressId}/default:
+ *   post:
+ *     tags:
+ *       - Addresses
+ *     summary: Make an address the default for checkout
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Default changed; returns the address book
+ *       404:
+ *         description: Address not found
+ */
+router.post("/:addressId/default", auth, validate({ params: addressIdParams }), async (req, res) => {
+  const addresses = await addressService.setDefaultAddress(req.user.id, req.params.addressId);
+
+  res.json({
+    message: "Default address updated",
+    addresses
+  });
+});
+
+// Delete Address (user)
+/**
+ * @swagger
+ * /api/addresses/{addressId}:
+ *   delete:
+ *     tags:
+ *       - Addresses
+ *     summary: Remove a saved address
+ *     description: If it was the default, the oldest remaining address becomes the default.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Address removed; returns the address book
+ *       404:
+ *         description: Address not found
+ */
+router.delete("/:addressId", auth, validate({ params: addressIdParams }), async (req, res) => {
+  const addresses = await addressService.deleteAddress(req.user.id, req.params.addressId);
+
+  res.json({
+    message: "Address removed",
+    addresses
+  });
+});
+
+module.exports = router;
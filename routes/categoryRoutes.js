@@ -0,0 +1,156 @@
+const express=require('express');
+const auth=require("../middleware/authMiddleware");
+const requirePermission=require("../middleware/permissionMiddleware");
+const validate=require("../middleware/validate");
+const { categoryIdParams, createCategoryBody, updateCategoryBody }=require("../validators/categorySchemas");
+const categoryService=require("../services/categoryService");
+const router=express.Router();
+
+
+// Category Tree (public)
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     tags:
+ *       - Categories
+ *     summary: Get the category tree with product counts
+ *     description: productCount counts products filed directly under a category; totalProductCount also includes its subcategories. Siblings are ordered by position, then name.
+ *     responses:
+ *       200:
+ *         description: Nested categories
+ */
+router.get("/", async (req, res) => {
+  const categories = await categoryService.getTree();
+
+  res.json({
+    message: "Categories retrieved successfully",
+    categories
+  });
+});
+
+// Create Category (categories:write)
+/**
+ * @swagger
+ * /api/categories:
+ *   post:
+ *     tags:
+ *       - Categories
+ *     summary: Create a category
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *                 description: Generated from the name when omitted
+ *               description:
+ *                 type: string
+ *               parent:
+ *                 type: string
+ *                 description: Parent category id (omit for a top-level category)
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Category created
+ *       409:
+ *         description: Slug already used
+ */
+router.post("/", auth, requirePermission("categories:write"), validate({ body: createCategoryBody }), async (req, res) => {
+  const category = await categoryService.createCategory(req.body);
+
+  res.status(201).json({
+    message: "Category created successfully",
+    category
+  });
+});
+
+// Update Category (categories:write)
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   put:
+ *     tags:
+ *       - Categories
+ *     summary: Rename, move or reorder a category
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *       409:
+ *         description: Slug already used or the move would create a cycle
+ */
+router.put("/:id", auth, requirePermission("categories:write"), validate({ params: categoryIdParams, body: updateCategoryBody }), async (req, res) => {
+  const category = await categoryService.updateCategory(req.params.id, req.body);
+
+  res.json({
+    message: "Category updated successfully",
+    category
+  });
+});
+
+// Delete Category (categories:write) - only empty leaf categories
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   delete:
+ *     tags:
+ *       - Categories
+ *     summary: Delete a category without products or subcategories
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       409:
+ *         description: Category still has products or subcategories
+ */
+router.delete("/:id", auth, requirePermission("categories:write"), validate({ params: categoryIdParams }), async (req, res) => {
+  const category = await categoryService.deleteCategory(req.params.id);
+
+  res.json({
+    message: "Category deleted successfully",
+    category
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,217 @@
+const express=require('express');
+const auth=require("../middleware/authMiddleware");
+const requirePermission=require("../middleware/permissionMiddleware");
+const validate=require("../middleware/validate");
+const { couponIdParams, createCouponBody, updateCouponBody, listCouponsQuery }=require("../validators/couponSchemas");
+const couponService=require("../services/couponService");
+const router=express.Router();
+
+
+// List Coupons (coupons:manage)
+/**
+ * @swagger
+ * /api/coupons:
+ *   get:
+ *     tags:
+ *       - Coupons
+ *     summary: List coupons, newest first
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Page of coupons with usage counts
+ */
+router.get("/", auth, requirePermission("coupons:manage"), validate({ query: listCouponsQuery }), async (req, res) => {
+  const { coupons, pagination } = await couponService.listCoupons(req.query);
+
+  res.json({
+    message: "Coupons retrieved successfully",
+    count: coupons.length,
+    coupons,
+    pagination
+  });
+});
+
+// View Coupon (coupons:manage)
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   get:
+ *     tags:
+ *       - Coupons
+ *     summary: Get a coupon
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon
+ *       404:
+ *         description: Coupon not found
+ */
+router.get("/:id", auth, requirePermission("coupons:manage"), validate({ params: couponIdParams }), async (req, res) => {
+  const coupon = await couponService.findCoupon(req.params.id);
+
+  res.json({
+    message: "Coupon retrieved successfully",
+    coupon
+  });
+});
+
+// Create Coupon (coupons:manage)
+/**
+ * @swagger
+ * /api/coupons:
+ *   post:
+ *     tags:
+ *       - Coupons
+ *     summary: Create a coupon
+ *     description: Percentage coupons take value percent off the eligible items, capped at maxDiscount; fixed coupons take value off. Without products or categories every item is eligible; categories include their subcategories.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Letters, digits, - and _ (stored upper-case)
+ *               description:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [percentage, fixed]
+ *               value:
+ *                 type: number
+ *               maxDiscount:
+ *                 type: number
+ *               minOrderValue:
+ *                 type: number
+ *                 description: Order subtotal needed, before discounts
+ *               categories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               products:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               usageLimit:
+ *                 type: integer
+ *                 description: Total uses across all users (omit for unlimited)
+ *               perUserLimit:
+ *                 type: integer
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Coupon created
+ *       409:
+ *         description: Code already used
+ */
+router.post("/", auth, requirePermission("coupons:manage"), validate({ body: createCouponBody }), async (req, res) => {
+  const coupon = await couponService.createCoupon(req.body, req.user.id);
+
+  res.status(201).json({
+    message: "Coupon created successfully",
+    coupon
+  });
+});
+
+// Update Coupon (coupons:manage)
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   put:
+ *     tags:
+ *       - Coupons
+ *     summary: Update a coupon (set active to false to retire it)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Any of the fields accepted when creating a coupon
+ *     responses:
+ *       200:
+ *         description: Coupon updated
+ */
+router.put("/:id", auth, requirePermission("coupons:manage"), validate({ params: couponIdParams, body: updateCouponBody }), async (req, res) => {
+  const coupon = await couponService.updateCoupon(req.params.id, req.body);
+
+  res.json({
+    message: "Coupon updated successfully",
+    coupon
+  });
+});
+
+// Delete Coupon (coupons:manage)
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   delete:
+ *     tags:
+ *       - Coupons
+ *     summary: Delete a coupon that no order has used
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon deleted
+ *       409:
+ *         description: Coupon was used, deactivate it instead
+ */
+router.delete("/:id", auth, requirePermission("coupons:manage"), validate({ params: couponIdParams }), async (req, res) => {
+  await couponService.deleteCoupon(req.params.id);
+
+  res.json({
+    message: "Coupon deleted successfully"
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,216 @@
+const express=require('express');
+const auth=require("../middleware/authMiddleware");
+const requirePermission=require("../middleware/permissionMiddleware");
+const validate=require("../middleware/validate");
+const httpError=require("../utils/httpError");
+const { orderIdParams }=require("../validators/orderSchemas");
+const { intentIdParams, simulatePaymentBody }=require("../validators/paymentSchemas");
+const { refundOrderBody }=require("../validators/returnSchemas");
+const paymentService=require("../services/paymentService");
+const router=express.Router();
+
+// The simulate route only exists when explicitly enabled (checked per request:
+// the environment is loaded after the routes)
+const mockSimulation = (req, res, next) => {
+  if (!paymentService.simulationEnabled()) {
+    return next(httpError(404, "Route not found"));
+  }
+  next();
+};
+
+
+// Create Payment Intent (order owner)
+/**
+ * @swagger
+ * /api/payments/orders/{orderId}/intent:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Start paying a pending order
+ *     description: Returns the provider's intent and client secret. An open intent for the same amount is returned again instead of creating a second one. Orders not paid by payBy are cancelled and restocked.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Payment intent
+ *       409:
+ *         description: Order already paid, not pending or past its payment window
+ */
+router.post("/orders/:orderId/intent", auth, validate({ params: orderIdParams }), async (req, res) => {
+  const intent = await paymentService.createPaymentIntent(req.params.orderId, { userId: req.user.id, role: req.user.role });
+
+  res.status(201).json({
+    message: "Payment intent created",
+    intent
+  });
+});
+
+// Order Payments (order owner or orders:manage)
+/**
+ * @swagger
+ * /api/payments/orders/{orderId}:
+ *   get:
+ *     tags:
+ *       - Payments
+ *     summary: List the payment attempts of an order, newest first
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payment status of the order and its attempts
+ */
+router.get("/orders/:orderId", auth, validate({ params: orderIdParams }), async (req, res) => {
+  const { order, payments } = await paymentService.listOrderPayments(req.params.orderId, { userId: req.user.id, role: req.user.role });
+
+  res.json({
+    message: "Payments retrieved successfully",
+    orderId: order._id,
+    paymentStatus: order.paymentStatus,
+    paymentDueAt: order.paymentDueAt,
+    paidAt: order.paidAt,
+    refundedTotal: order.refundedTotal,
+    refunds: order.refunds,
+    payments
+  });
+});
+
+// Refund Order (orders:manage)
+/**
+ * @swagger
+ * /api/payments/orders/{orderId}/refunds:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Refund part or all of an order's payment
+ *     description: Refunds through the provider that took the payment. Without amount, everything not yet refunded is returned. paymentStatus becomes partially_refunded or refunded. For returned goods use /api/returns/{returnId}/refund.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Refund recorded
+ *       400:
+ *         description: Amount exceeds what is left to refund
+ *       409:
+ *         description: Order has no completed payment
+ */
+router.post("/orders/:orderId/refunds", auth, requirePermission("orders:manage"), validate({ params: orderIdParams, body: refundOrderBody }), async (req, res) => {
+  const { order, refund } = await paymentService.refundOrder(req.params.orderId, req.body, req.user.id);
+
+  res.status(201).json({
+    message: "Refund recorded",
+    refund,
+    paymentStatus: order.paymentStatus,
+    refundedTotal: order.refundedTotal
+  });
+});
+
+// Payment Webhook (called by the payment provider, signed)
+/**
+ * @swagger
+ * /api/payments/webhook:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Receive payment events from the provider
+ *     description: The signature of the raw body is checked (X-Payment-Signature for the mock provider). payment.succeeded marks the order paid and confirms it; payment.failed marks it failed. Redelivered events are acknowledged without being applied again.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Event accepted
+ *       400:
+ *         description: Missing body or invalid signature
+ *       404:
+ *         description: Unknown payment intent
+ *       503:
+ *         description: PAYMENT_WEBHOOK_SECRET is not set
+ */
+router.post("/webhook", async (req, res) => {
+  if (!req.rawBody) {
+    throw httpError(400, "Webhook body is required");
+  }
+
+  const { event, duplicate, ignored } = await paymentService.handleWebhook(req.rawBody, req.headers);
+
+  res.json({
+    message: duplicate ? "Event already processed" : ignored ? "Event ignored" : "Event processed",
+    eventId: event.id
+  });
+});
+
+// Simulate Payment (mock provider only)
+/**
+ * @swagger
+ * /api/payments/mock/{intentId}/simulate:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Complete or fail a mock payment
+ *     description: Only available with PAYMENT_PROVIDER=mock and PAYMENT_MOCK_SIMULATE=true outside production. Sends the signed webhook the provider would send, through the same code path as /api/payments/webhook.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: intentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [succeeded, failed]
+ *     responses:
+ *       200:
+ *         description: Payment after the simulated webhook
+ *       404:
+ *         description: Unknown intent, or simulation is not enabled
+ */
+router.post("/mock/:intentId/simulate", mockSimulation, auth, validate({ params: intentIdParams, body: simulatePaymentBody }), async (req, res) => {
+  const { payment } = await paymentService.simulatePayment(req.params.intentId, req.body.outcome, { userId: req.user.id, role: req.user.role });
+
+  res.json({
+    message: `Payment ${req.body.outcome}`,
+    payment
+  });
+});
+
+module.exports = router;
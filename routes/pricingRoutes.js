@@ -0,0 +1,293 @@
+const express=require('express');
+const auth=require("../middleware/authMiddleware");
+const requirePermission=require("../middleware/permissionMiddleware");
+const validate=require("../middleware/validate");
+const { ruleIdParams, createShippingRuleBody, updateShippingRuleBody, createTaxRuleBody, updateTaxRuleBody }=require("../validators/pricingSchemas");
+const { shippingRules, taxRules }=require("../services/pricingService");
+const router=express.Router();
+
+
+// List Shipping Rules (pricing:manage)
+/**
+ * @swagger
+ * /api/pricing/shipping-rules:
+ *   get:
+ *     tags:
+ *       - Pricing
+ *     summary: List shipping rules by region
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Shipping rules
+ */
+router.get("/shipping-rules", auth, requirePermission("pricing:manage"), async (req, res) => {
+  const rules = await shippingRules.list();
+
+  res.json({
+    message: "Shipping rules retrieved successfully",
+    count: rules.length,
+    rules
+  });
+});
+
+// Create Shipping Rule (pricing:manage)
+/**
+ * @swagger
+ * /api/pricing/shipping-rules:
+ *   post:
+ *     tags:
+ *       - Pricing
+ *     summary: Create a shipping rule
+ *     description: The most specific active rule for an order's region applies ("IN-KA" before "IN" before a rule without region). Flat rules charge flatRate per order; weight and amount rules charge the rate of the first tier whose upTo covers the order's weight (kg) or amount after discounts. A tier without upTo covers everything above.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               region:
+ *                 type: string
+ *                 description: Country code, optionally with subdivision (IN, IN-KA); omit for all regions
+ *               method:
+ *                 type: string
+ *                 enum: [flat, weight, amount]
+ *               flatRate:
+ *                 type: number
+ *               tiers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     upTo:
+ *                       type: number
+ *                     rate:
+ *                       type: number
+ *               freeShippingThreshold:
+ *                 type: number
+ *                 description: Orders at or above this amount (after discounts) ship free
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Shipping rule created
+ */
+router.post("/shipping-rules", auth, requirePermission("pricing:manage"), validate({ body: createShippingRuleBody }), async (req, res) => {
+  const rule = await shippingRules.create(req.body);
+
+  res.status(201).json({
+    message: "Shipping rule created successfully",
+    rule
+  });
+});
+
+// Update Shipping Rule (pricing:manage)
+/**
+ * @swagger
+ * /api/pricing/shipping-rules/{id}:
+ *   put:
+ *     tags:
+ *       - Pricing
+ *     summary: Update a shipping rule (set active to false to retire it)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Any of the fields accepted when creating a shipping rule
+ *     responses:
+ *       200:
+ *         description: Shipping rule updated
+ *       404:
+ *         description: Shipping rule not found
+ */
+router.put("/shipping-rules/:id", auth, requirePermission("pricing:manage"), validate({ params: ruleIdParams, body: updateShippingRuleBody }), async (req, res) => {
+  const rule = await shippingRules.update(req.params.id, req.body);
+
+  res.json({
+    message: "Shipping rule updated successfully",
+    rule
+  });
+});
+
+// Delete Shipping Rule (pricing:manage)
+/**
+ * @swagger
+ * /api/pricing/shipping-rules/{id}:
+ *   delete:
+ *     tags:
+ *       - Pricing
+ *     summary: Delete a shipping rule (placed orders keep their charges)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shipping rule deleted
+ *       404:
+ *         description: Shipping rule not found
+ */
+router.delete("/shipping-rules/:id", auth, requirePermission("pricing:manage"), validate({ params: ruleIdParams }), async (req, res) => {
+  await shippingRules.remove(req.params.id);
+
+  res.json({
+    message: "Shipping rule deleted successfully"
+  });
+});
+
+// List Tax Rules (pricing:manage)
+/**
+ * @swagger
+ * /api/pricing/tax-rules:
+ *   get:
+ *     tags:
+ *       - Pricing
+ *     summary: List tax rules by region
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tax rules
+ */
+router.get("/tax-rules", auth, requirePermission("pricing:manage"), async (req, res) => {
+  const rules = await taxRules.list();
+
+  res.json({
+    message: "Tax rules retrieved successfully",
+    count: rules.length,
+    rules
+  });
+});
+
+// Create Tax Rule (pricing:manage)
+/**
+ * @swagger
+ * /api/pricing/tax-rules:
+ *   post:
+ *     tags:
+ *       - Pricing
+ *     summary: Create a tax rule
+ *     description: Each order line is taxed on its amount after discounts by the most specific active rule. A rule for the line's category (or its nearest parent) beats one without category; then the longest matching region wins.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               region:
+ *                 type: string
+ *                 description: Country code, optionally with subdivision; omit for all regions
+ *               category:
+ *                 type: string
+ *                 description: Applies to this category and its subcategories; omit for all products
+ *               rate:
+ *                 type: number
+ *                 description: Percent
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Tax rule created
+ */
+router.post("/tax-rules", auth, requirePermission("pricing:manage"), validate({ body: createTaxRuleBody }), async (req, res) => {
+  const rule = await taxRules.create(req.body);
+
+  res.status(201).json({
+    message: "Tax rule created successfully",
+    rule
+  });
+});
+
+// Update Tax Rule (pricing:manage)
+/**
+ * @swagger
+ * /api/pricing/tax-rules/{id}:
+ *   put:
+ *     tags:
+ *       - Pricing
+ *     summary: Update a tax rule (set active to false to retire it)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Any of the fields accepted when creating a tax rule
+ *     responses:
+ *       200:
+ *         description: Tax rule updated
+ *       404:
+ *         description: Tax rule not found
+ */
+router.put("/tax-rules/:id", auth, requirePermission("pricing:manage"), validate({ params: ruleIdParams, body: updateTaxRuleBody }), async (req, res) => {
+  const rule = await taxRules.update(req.params.id, req.body);
+
+  res.json({
+    message: "Tax rule updated successfully",
+    rule
+  });
+});
+
+// Delete Tax Rule (pricing:manage)
+/**
+ * @swagger
+ * /api/pricing/tax-rules/{id}:
+ *   delete:
+ *     tags:
+ *       - Pricing
+ *     summary: Delete a tax rule (placed orders keep their charges)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax rule deleted
+ *       404:
+ *         description: Tax rule not found
+ */
+router.delete("/tax-rules/:id", auth, requirePermission("pricing:manage"), validate({ params: ruleIdParams }), async (req, res) => {
+  await taxRules.remove(req.params.id);
+
+  res.json({
+    message: "Tax rule deleted successfully"
+  });
+});
+
+module.exports = router;
@@ -1,22 +1,48 @@
 const express=require('express');
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const Product=require("../models/product");
 const auth=require("../middleware/authMiddleware");
-const admin=require("../middleware/adminMiddleware");
+const requirePermission=require("../middleware/permissionMiddleware");
+const cartOwner=require("../middleware/cartOwnerMiddleware");
+const { STAFF_ROLES, hasPermission, canEditProduct }=require("../config/permissions");
+const validate=require("../middleware/validate");
+const httpError=require("../utils/httpError");
+const { roundMoney }=require("../utils/money");
+const { signupBody, staffSignupBody, loginBody, refreshTokenBody }=require("../validators/authSchemas");
+const { userIdParams, inviteBody, roleBody, assignProductBody, trackingBody, orderActionParams, orderActionBody }=require("../validators/adminSchemas");
+const { listProductsQuery, adminListProductsQuery, publishProductBody, unpublishProductBody, imageParams, uploadImagesBody, updateImageBody, reorderImagesBody, variantParams, optionsBody, addVariantBody, updateVariantBody, idParams, productIdParams, addProductBody, updateProductBody, reviewBody, updateReviewBody, reviewParams, reviewIdParams, listReviewsQuery, moderateReviewBody, moderationQueueQuery }=require("../validators/productSchemas");
+const { addToCartBody, setQuantityBody, removeFromCartQuery }=require("../validators/cartSchemas");
+const { orderIdParams, placeOrderBody, quoteOrderBody, checkoutPreviewBody, checkoutBody, cancelOrderBody, cancelOrderQuery }=require("../validators/orderSchemas");
+const { updateProfileBody }=require("../validators/userSchemas");
+const { validateCouponBody }=require("../validators/couponSchemas");
+const { addToWishlistBody, removeFromWishlistQuery, moveToCartBody, saveForLaterBody }=require("../validators/wishlistSchemas");
 const User=require("../models/user");
 const Order=require("../models/order");
+const Category=require("../models/category");
+const cartService=require("../services/cartService");
+const orderService=require("../services/orderService");
+const tokenService=require("../services/tokenService");
+const adminService=require("../services/adminService");
+const productService=require("../services/productService");
+const variantService=require("../services/variantService");
+const imageService=require("../services/imageService");
+const productStatusService=require("../services/productStatusService");
+const reviewService=require("../services/reviewService");
+const wishlistService=require("../services/wishlistService");
+const couponService=require("../services/couponService");
+const shipmentService=require("../services/shipmentService");
+const uploadImages=require("../middleware/uploadMiddleware");
 const router=express.Router();
 
 
-// Unified Signup for both User and Admin
+// Signup (always creates a regular user; admins join through an invite)
 /**
  * @swagger
  * /api/products/signup:
  *   post:
  *     tags:
  *       - Auth
- *     summary: Signup (user or admin)
+ *     summary: Signup (user)
  *     requestBody:
  *       required: true
  *       content:
@@ -30,9 +56,6 @@ const router=express.Router();
  *                 type: string
  *               password:
  *                 type: string
- *               role:
- *                 type: string
- *                 description: "user or admin (defaults to user)"
  *               phone:
  *                 type: string
  *     responses:
@@ -41,56 +64,46 @@ const router=express.Router();
  *       400:
  *         description: Validation error / user exists
  */
-router.post("/signup", async (req, res) => {
-  try {
-    const { name, email, password, phone, role } = req.body;
-    
-    if (!name || !email || !password) {
-      return res.status(400).json({ message: "Name, email and password are required" });
-    }
+router.post("/signup", validate({ body: signupBody }), async (req, res) => {
+  const { name, email, password, phone } = req.body;
 
-    // Default role to 'user' if not provided
-    const userRole = role && (role === 'admin' || role === 'user') ? role : 'user';
+  const existing = await User.findOne({ email });
+  if (existing) {
+    throw httpError(400, "User with this email already exists");
+  }
 
-    const existing = await User.findOne({ email });
-    if (existing) {
-      return res.status(400).json({ message: "User with this email already exists" });
+  const hashedPassword = await bcrypt.hash(password, 10);
+  const newUser = new User({
+    name,
+    email,
+    password: hashedPassword,
+    role: "user",
+    phone: phone || ""
+  });
+
+  await newUser.save();
+
+  res.status(201).json({
+    message: "User signup successful. Please login to receive a token.",
+    user: {
+      id: newUser._id,
+      name: newUser.name,
+      email: newUser.email,
+      role: newUser.role
     }
-
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const newUser = new User({
-      name,
-      email,
-      password: hashedPassword,
-      role: userRole,
-      phone: phone || ""
-    });
-
-    await newUser.save();
-
-    res.status(201).json({
-      message: `${userRole.charAt(0).toUpperCase() + userRole.slice(1)} signup successful. Please login to receive a token.`,
-      user: {
-        id: newUser._id,
-        name: newUser.name,
-        email: newUser.email,
-        role: newUser.role
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
+  });
 });
 
 
 
+// Staff Signup (requires an invite token issued by an existing admin)
 /**
  * @swagger
- * /api/products/login:
+ * /api/products/signup/admin:
  *   post:
  *     tags:
  *       - Auth
- *     summary: Login (returns JWT)
+ *     summary: Create a staff account (admin, catalog manager, support) from an invite
  *     requestBody:
  *       required: true
  *       content:
@@ -98,110 +111,47 @@ router.post("/signup", async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
+ *               token:
+ *                 type: string
+ *               name:
+ *                 type: string
  *               email:
  *                 type: string
+ *                 description: Must match the invited email
  *               password:
  *                 type: string
+ *               phone:
+ *                 type: string
  *     responses:
- *       200:
- *         description: Login successful
+ *       201:
+ *         description: Staff signup successful
  *       400:
- *         description: Invalid credentials
+ *         description: Invalid, expired or used invite / validation error
  */
-router.post("/login", async (req, res) => {
-  
-    const { email, password } = req.body;
-
-    
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ message: "Invalid credentials" });
-    }
-
-   
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(400).json({ message: "Invalid credentials" });
-    }
-
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "1h" }
-    );
-
-    res.json({
-      message: "Login successful",
-      token,
-      role: user.role
-    });
-});
-
-
-router.get("/admin/users", auth, admin, async (req, res) => {
-  try {
-    const users = await User.find().select("-password").populate("cart.productId", "name price");
-    
-    res.json({
-      message: "All users retrieved successfully",
-      totalUsers: users.length,
-      users
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
-});
-
-// View Single User (Admin only)
-router.get("/admin/users/:userId", auth, admin, async (req, res) => {
-  try {
-    const user = await User.findById(req.params.userId).select("-password").populate("cart.productId", "name price category");
-    
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
+router.post("/signup/admin", validate({ body: staffSignupBody }), async (req, res) => {
+  const { token, name, email, password, phone } = req.body;
+
+  const newUser = await adminService.acceptInvite({ token, name, email, password, phone });
+
+  res.status(201).json({
+    message: "Staff signup successful. Please login to receive a token.",
+    user: {
+      id: newUser._id,
+      name: newUser.name,
+      email: newUser.email,
+      role: newUser.role
     }
-
-    res.json({
-      message: "User retrieved successfully",
-      user
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
+  });
 });
 
-// View User Stats (Admin only)
-router.get("/admin/users-stats", auth, admin, async (req, res) => {
-  try {
-    const totalUsers = await User.countDocuments();
-    const adminCount = await User.countDocuments({ role: "admin" });
-    const regularUsers = await User.countDocuments({ role: "user" });
-    
-    const usersWithCart = await User.countDocuments({ "cart.0": { $exists: true } });
-    
-    res.json({
-      message: "User statistics retrieved",
-      stats: {
-        totalUsers,
-        adminCount,
-        regularUsers,
-        usersWithActiveCart: usersWithCart
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
-});
 
 /**
  * @swagger
- * /api/products/add:
+ * /api/products/login:
  *   post:
  *     tags:
- *       - Products
- *     summary: Add a new product (admin only)
- *     security:
- *       - BearerAuth: []
+ *       - Auth
+ *     summary: Login (returns JWT)
  *     requestBody:
  *       required: true
  *       content:
@@ -209,223 +159,88 @@ router.get("/admin/users-stats", auth, admin, async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               name:
+ *               email:
  *                 type: string
- *               price:
- *                 type: number
- *               description:
+ *               password:
  *                 type: string
- *               category:
+ *               cartToken:
  *                 type: string
- *               stock:
- *                 type: integer
+ *                 description: Guest cart token to merge into the user's cart
  *     responses:
- *       201:
- *         description: Product added
+ *       200:
+ *         description: Login successful
+ *       400:
+ *         description: Invalid credentials
  */
-router.post("/add", auth, admin, async (req, res) => {
-  
-    const { name, price, description, category, stock } = req.body;
-
-    
-    if (!name || !price) {
-      return res.status(400).json({
-        message: "Name and price are required"
-      });
-    }
-
-    const product = new Product({
-      name,
-      price,
-      description,
-      category,
-      stock
-    });
-
-    await product.save();
-
-    res.status(201).json({
-      message: "Product added successfully",
-      product: {
-        id: product._id,
-        name: product.name,
-        price: product.price,
-        description: product.description,
-        category: product.category,
-        stock: product.stock,
-        createdAt: product.createdAt
-      }
-    });
-});
+router.post("/login", validate({ body: loginBody }), async (req, res) => {
+  const { email, password } = req.body;
 
-// ===== ADMIN ROUTES =====
-
-
-router.post("/assign", auth, admin, async (req, res) => {
-  try {
-    const { productId, adminId } = req.body;
-    
-    if (!productId || !adminId) {
-      return res.status(400).json({ message: "Product ID and Admin ID are required" });
-    }
-
-    const product = await Product.findByIdAndUpdate(
-      productId,
-      { assignedAdmin: adminId },
-      { new: true }
-    );
-
-    if (!product) {
-      return res.status(404).json({ message: "Product not found" });
-    }
-
-    res.json({
-      message: "Product assigned successfully",
-      product
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
+  const user = await User.findOne({ email });
+  if (!user) {
+    throw httpError(400, "Invalid credentials");
   }
-});
-
 
-router.put("/update/:id", auth, admin, async (req, res) => {
-  try {
-    const { name, price, description, category, stock } = req.body;
-    
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      { name, price, description, category, stock },
-      { new: true }
-    );
+  const isMatch = await bcrypt.compare(password, user.password);
+  if (!isMatch) {
+    throw httpError(400, "Invalid credentials");
+  }
 
-    if (!product) {
-      return res.status(404).json({ message: "Product not found" });
-    }
+  const { token, refreshToken } = await tokenService.issueTokens(user);
 
-    res.json({
-      message: "Product updated successfully",
-      product
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
-});
+  // Bring along whatever the shopper put in their cart while logged out
+  const cartToken = req.body.cartToken || req.headers["x-cart-token"];
+  const cartMerged = cartToken ? await cartService.mergeGuestCart(cartToken, user._id) : false;
 
-// View All Reviews (Admin only)
-/**
- * @swagger
- * /api/products/admin/reviews:
- *   get:
- *     tags:
- *       - Reviews
- *     summary: Get all product reviews (admin only)
- *     security:
- *       - BearerAuth: []
- *     responses:
- *       200:
- *         description: List of reviews
- */
-router.get("/admin/reviews", auth, admin, async (req, res) => {
-  try {
-    const products = await Product.find().populate("reviews.userId", "name email");
-    
-    const allReviews = [];
-    products.forEach(product => {
-      product.reviews.forEach(review => {
-        allReviews.push({
-          productId: product._id,
-          productName: product.name,
-          ...review.toObject()
-        });
-      });
-    });
-
-    res.json({
-      message: "All reviews retrieved",
-      totalReviews: allReviews.length,
-      reviews: allReviews
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
+  res.json({
+    message: "Login successful",
+    token,
+    refreshToken,
+    role: user.role,
+    cartMerged
+  });
 });
 
-// Order Payment View (Admin only)
 /**
  * @swagger
- * /api/products/orders/payment:
- *   get:
+ * /api/products/auth/refresh:
+ *   post:
  *     tags:
- *       - Orders
- *     summary: View payment details for orders (admin only)
- *     security:
- *       - BearerAuth: []
+ *       - Auth
+ *     summary: Exchange a refresh token for a new access/refresh token pair
+ *     description: The refresh token sent is revoked. Sending a revoked token again revokes the whole login session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Payment details
+ *         description: New tokens issued
+ *       401:
+ *         description: Invalid, expired or reused refresh token
  */
-router.get("/orders/payment", auth, admin, async (req, res) => {
-  try {
-    const orders = await Order.find().populate("userId", "name email").populate("items.productId", "name price");
-    
-    const paymentDetails = orders.map(order => ({
-      orderId: order._id,
-      userId: order.userId,
-      totalAmount: order.totalAmount,
-      paymentMethod: order.paymentMethod,
-      paymentStatus: order.paymentStatus,
-      createdAt: order.createdAt
-    }));
+router.post("/auth/refresh", validate({ body: refreshTokenBody }), async (req, res) => {
+  const { refreshToken } = req.body;
 
-    res.json({
-      message: "Payment details retrieved",
-      totalOrders: paymentDetails.length,
-      payments: paymentDetails
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
-});
+  const tokens = await tokenService.rotateRefreshToken(refreshToken);
 
-// Delivery Tracking GET (Admin only)
-/**
- * @swagger
- * /api/products/delivery-tracking:
- *   get:
- *     tags:
- *       - Delivery
- *     summary: Get delivery tracking information (admin only)
- *     security:
- *       - BearerAuth: []
- *     responses:
- *       200:
- *         description: Delivery tracking
- */
-router.get("/delivery-tracking", auth, admin, async (req, res) => {
-  try {
-    const orders = await Order.find().populate("userId", "name email").select("_id userId deliveryAddress deliveryTracking orderStatus");
-
-    res.json({
-      message: "Delivery tracking retrieved",
-      totalOrders: orders.length,
-      orders: orders
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
+  res.json({
+    message: "Token refreshed",
+    ...tokens
+  });
 });
 
-// Delivery Tracking POST (Admin only - Update tracking)
 /**
  * @swagger
- * /api/products/delivery-tracking:
+ * /api/products/auth/logout:
  *   post:
  *     tags:
- *       - Delivery
- *     summary: Update delivery tracking (admin only)
- *     security:
- *       - BearerAuth: []
+ *       - Auth
+ *     summary: Logout (revokes the refresh token's session)
  *     requestBody:
  *       required: true
  *       content:
@@ -433,143 +248,81 @@ router.get("/delivery-tracking", auth, admin, async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               orderId:
- *                 type: string
- *               status:
- *                 type: string
- *               location:
- *                 type: string
- *               estimatedDelivery:
+ *               refreshToken:
  *                 type: string
  *     responses:
  *       200:
- *         description: Tracking updated
+ *         description: Logged out
  */
-router.post("/delivery-tracking", auth, admin, async (req, res) => {
-  try {
-    const { orderId, status, location, estimatedDelivery } = req.body;
-    
-    if (!orderId || !status) {
-      return res.status(400).json({ message: "Order ID and status are required" });
-    }
+router.post("/auth/logout", validate({ body: refreshTokenBody }), async (req, res) => {
+  const { refreshToken } = req.body;
 
-    const order = await Order.findByIdAndUpdate(
-      orderId,
-      {
-        "deliveryTracking.status": status,
-        "deliveryTracking.location": location,
-        "deliveryTracking.estimatedDelivery": estimatedDelivery,
-        "deliveryTracking.updatedAt": new Date(),
-        "orderStatus": status === "delivered" ? "delivered" : "shipped"
-      },
-      { new: true }
-    );
-    if (!order) {
-      return res.status(404).json({ message: "Order not found" });
-    }
+  await tokenService.revokeRefreshToken(refreshToken);
 
-    res.json({
-      message: "Delivery tracking updated successfully",
-      order
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
+  res.json({ message: "Logged out successfully" });
 });
 
-// ===== PUBLIC/USER ROUTES =====
 
-// View All Products
-/**
- * @swagger
- * /api/products:
- *   get:
- *     tags:
- *       - Products
- *     summary: Get list of products
- *     responses:
- *       200:
- *         description: List of products
- */
-router.get("/", async (req, res) => {
-  try {
-    const products = await Product.find();
-    const mapped = products.map(p => ({
-      id: p._id,
-      name: p.name,
-      price: p.price,
-      description: p.description,
-      category: p.category,
-      stock: p.stock,
-      averageRating: p.averageRating || 0,
-      totalReviews: p.totalReviews || 0,
-      createdAt: p.createdAt
-    }));
-
-    res.json({
-      message: "Products retrieved successfully",
-      count: mapped.length,
-      products: mapped
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
+router.get("/admin/users", auth, requirePermission("users:read"), async (req, res) => {
+  const users = await User.find().select("-password").populate("cart.productId", "name price");
+  
+  res.json({
+    message: "All users retrieved successfully",
+    totalUsers: users.length,
+    users
+  });
+});
+
+// View Single User (Admin only)
+router.get("/admin/users/:userId", auth, requirePermission("users:read"), validate({ params: userIdParams }), async (req, res) => {
+  const user = await User.findById(req.params.userId).select("-password").populate("cart.productId", "name price category");
+  
+  if (!user) {
+    throw httpError(404, "User not found");
   }
+
+  res.json({
+    message: "User retrieved successfully",
+    user
+  });
 });
 
-// View Single Product
+// Force Logout User (Admin only) - revokes every access and refresh token of the user
 /**
  * @swagger
- * /api/products/{id}:
- *   get:
+ * /api/products/admin/users/{userId}/logout:
+ *   post:
  *     tags:
- *       - Products
- *     summary: Get product by id
+ *       - Auth
+ *     summary: Force-logout a user everywhere (admin only)
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: userId
  *         required: true
  *         schema:
  *           type: string
  *     responses:
  *       200:
- *         description: Product details
+ *         description: All sessions revoked
+ *       404:
+ *         description: User not found
  */
-router.get("/:id", async (req, res) => {
-  try {
-    const product = await Product.findById(req.params.id);
-    
-    if (!product) {
-      return res.status(404).json({ message: "Product not found" });
-    }
+router.post("/admin/users/:userId/logout", auth, requirePermission("users:manage"), validate({ params: userIdParams }), async (req, res) => {
+  await tokenService.revokeAllForUser(req.params.userId);
 
-    res.json({
-      message: "Product retrieved successfully",
-      product: {
-        id: product._id,
-        name: product.name,
-        price: product.price,
-        description: product.description,
-        category: product.category,
-        stock: product.stock,
-        reviews: product.reviews || [],
-        averageRating: product.averageRating || 0,
-        totalReviews: product.totalReviews || 0,
-        createdAt: product.createdAt
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
+  res.json({ message: "User logged out from all sessions" });
 });
 
-// Add to Cart (User authenticated)
+// Invite Staff (Admin only) - the returned token is shown only once
 /**
  * @swagger
- * /api/products/cart/add:
+ * /api/products/admin/invites:
  *   post:
  *     tags:
- *       - Cart
- *     summary: Add product to cart (user)
+ *       - Auth
+ *     summary: Invite a new staff account (users:manage)
  *     security:
  *       - BearerAuth: []
  *     requestBody:
@@ -579,122 +332,108 @@ router.get("/:id", async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               productId:
+ *               email:
  *                 type: string
- *               quantity:
- *                 type: integer
+ *               role:
+ *                 type: string
+ *                 enum: [admin, catalog_manager, support]
+ *                 description: Staff role of the new account (defaults to admin)
  *     responses:
- *       200:
- *         description: Product added to cart
+ *       201:
+ *         description: Invite created (single use, expiring)
  */
-router.post("/cart/add", async (req, res) => {
-  try {
-    const { productId, quantity, userId: bodyUserId } = req.body;
-    const userId = (req.user && req.user.id) || bodyUserId || req.query.userId;
-
-    if (!productId || !quantity) {
-      return res.status(400).json({ message: "Product ID and quantity are required" });
-    }
-
-    if (!userId) {
-      return res.status(400).json({ message: "userId is required (provide token or userId)" });
-    }
-
-    const product = await Product.findById(productId);
-    if (!product) {
-      return res.status(404).json({ message: "Product not found" });
-    }
-
-    // Update user cart (implement with User model)
-    await User.findByIdAndUpdate(
-      userId,
-      { $push: { cart: { productId, quantity } } },
-      { new: true }
-    );
-
-    const populatedUser = await User.findById(userId).populate("cart.productId", "name price category stock");
-
-    res.json({
-      message: "Product added to cart successfully",
-      user: populatedUser
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
-});
-
-// Delete from Cart
-router.delete("/cart/delete/:productId", async (req, res) => {
-  try {
-    const { productId } = req.params;
-    const userId = (req.user && req.user.id) || req.body.userId || req.query.userId;
-
-    if (!userId) {
-      return res.status(400).json({ message: "userId is required (provide token or userId)" });
-    }
-
-    await User.findByIdAndUpdate(
-      userId,
-      { $pull: { cart: { productId } } },
-      { new: true }
-    );
+router.post("/admin/invites", auth, requirePermission("users:manage"), validate({ body: inviteBody }), async (req, res) => {
+  const { email, role } = req.body;
 
-    const populatedUser = await User.findById(userId).populate("cart.productId", "name price category stock");
+  const invite = await adminService.createInvite(req.user.id, email, role);
 
-    res.json({
-      message: "Product removed from cart successfully",
-      user: populatedUser
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
+  res.status(201).json({
+    message: "Admin invite created",
+    invite
+  });
 });
 
-// Get current user's cart (populated)
+// Change User Role (Admin only) - recorded in the audit log
 /**
  * @swagger
- * /api/products/cart:
- *   get:
+ * /api/products/admin/users/{userId}/role:
+ *   put:
  *     tags:
- *       - Cart
- *     summary: Get current user's cart
+ *       - Auth
+ *     summary: Promote or demote a user (admin only)
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
  *     responses:
  *       200:
- *         description: User cart
+ *         description: Role updated and the user's sessions revoked
+ *       409:
+ *         description: Would remove the last admin
  */
-router.get("/cart", async (req, res) => {
-  try {
-    const userId = (req.user && req.user.id) || req.query.userId || req.body.userId;
-
-    if (!userId) {
-      return res.status(400).json({ message: "userId is required (provide token or userId)" });
-    }
+router.put("/admin/users/:userId/role", auth, requirePermission("users:manage"), validate({ params: userIdParams, body: roleBody }), async (req, res) => {
+  const { role } = req.body;
 
-    const user = await User.findById(userId).select("cart").populate("cart.productId", "name price category stock description");
+  const user = await adminService.changeRole(req.user.id, req.params.userId, role);
 
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
+  res.json({
+    message: "User role updated",
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role
     }
+  });
+});
 
-    res.json({
-      message: "Cart retrieved successfully",
-      cart: user.cart
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
+// View User Stats (Admin only) - adminCount counts admins only, staffCount every staff role
+router.get("/admin/users-stats", auth, requirePermission("users:read"), async (req, res) => {
+  const totalUsers = await User.countDocuments();
+  const regularUsers = await User.countDocuments({ role: "user" });
+  const staffByRole = {};
+  for (const role of STAFF_ROLES) {
+    staffByRole[role] = await User.countDocuments({ role });
   }
+  const staffCount = Object.values(staffByRole).reduce((sum, count) => sum + count, 0);
+  
+  const usersWithCart = await User.countDocuments({ "cart.0": { $exists: true } });
+  const usersWithWishlist = await User.countDocuments({ "wishlist.0": { $exists: true } });
+  
+  res.json({
+    message: "User statistics retrieved",
+    stats: {
+      totalUsers,
+      adminCount: staffByRole.admin,
+      staffCount,
+      staffByRole,
+      regularUsers,
+      usersWithActiveCart: usersWithCart,
+      usersWithWishlist
+    }
+  });
 });
 
-// Place Order (POST)
 /**
  * @swagger
- * /api/products/orders/place:
+ * /api/products/add:
  *   post:
  *     tags:
- *       - Orders
- *     summary: Place an order (user)
+ *       - Products
+ *     summary: Add a new product (admin only)
  *     security:
  *       - BearerAuth: []
  *     requestBody:
@@ -704,224 +443,2044 @@ router.get("/cart", async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               items:
- *                 type: array
- *                 items:
- *                   type: object
- *                   properties:
- *                     productId:
- *                       type: string
- *                     quantity:
- *                       type: integer
- *               deliveryAddress:
+ *               name:
  *                 type: string
- *               paymentMethod:
+ *               price:
+ *                 type: number
+ *               description:
  *                 type: string
+ *               category:
+ *                 type: string
+ *                 description: Category id (see /api/categories)
+ *               stock:
+ *                 type: integer
+ *               weight:
+ *                 type: number
+ *                 description: Shipping weight in kg
+ *               status:
+ *                 type: string
+ *                 enum: [draft, active]
+ *                 default: draft
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: With status active, keeps the product hidden until this time
  *     responses:
  *       201:
- *         description: Order created
+ *         description: Product added
  */
-router.post("/orders/place", auth, async (req, res) => {
-  try {
-    const { items, deliveryAddress, paymentMethod } = req.body;
-    const userId = req.user.id;
+router.post("/add", auth, requirePermission("products:write"), validate({ body: addProductBody }), async (req, res) => {
+  const { name, price, description, category, stock, weight, status, publishAt } = req.body;
 
-    if (!items || items.length === 0) {
-      return res.status(400).json({ message: "Items are required" });
-    }
+  if (category && !(await Category.exists({ _id: category }))) {
+    throw httpError(400, "Category not found");
+  }
 
-    if (!deliveryAddress || !paymentMethod) {
-      return res.status(400).json({ message: "Delivery address and payment method are required" });
+  const product = new Product({
+    name,
+    price,
+    description,
+    category,
+    stock,
+    weight,
+    status,
+    publishAt,
+    // Staff who can only edit their own products own what they create
+    assignedAdmin: hasPermission(req.user.role, "products:write:any") ? undefined : req.user.id
+  });
+
+  await product.save();
+
+  res.status(201).json({
+    message: "Product added successfully",
+    product: {
+      id: product._id,
+      name: product.name,
+      price: product.price,
+      description: product.description,
+      category: product.category,
+      stock: product.stock,
+      weight: product.weight,
+      status: productStatusService.effectiveStatus(product),
+      publishAt: product.publishAt,
+      createdAt: product.createdAt
     }
+  });
+});
 
-    // Calculate total amount
-    let totalAmount = 0;
-    const processedItems = [];
-
-    for (const item of items) {
-      const product = await Product.findById(item.productId);
-      if (!product) {
-        return res.status(404).json({ message: `Product ${item.productId} not found` });
-      }
-
-      if (product.stock < item.quantity) {
-        return res.status(400).json({ message: `Insufficient stock for ${product.name}` });
-      }
-
-      const subtotal = product.price * item.quantity;
-      totalAmount += subtotal;
-
-      processedItems.push({
-        productId: product._id,
-        productName: product.name,
-        quantity: item.quantity,
-        price: product.price,
-        subtotal: subtotal
-      });
-
-      // Reduce stock
-      await Product.findByIdAndUpdate(
-        product._id,
-        { $inc: { stock: -item.quantity } }
-      );
-    }
+// ===== ADMIN ROUTES =====
 
-    // Create order
-    const order = new Order({
-      userId,
-      items: processedItems,
-      totalAmount,
-      deliveryAddress,
-      paymentMethod,
-      paymentStatus: "pending",
-      orderStatus: "pending"
-    });
-
-    await order.save();
-
-    // Clear user cart
-    await User.findByIdAndUpdate(userId, { cart: [] });
-
-    res.status(201).json({
-      message: "Order placed successfully",
-      order: await order.populate("userId", "name email")
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
+// Product summary used by the product lists
+const listItem = (p) => ({
+  id: p._id,
+  name: p.name,
+  price: p.price,
+  description: p.description,
+  category: p.category,
+  stock: p.stock,
+  hasVariants: p.variants.length > 0,
+  primaryImage: imageService.primaryImage(p),
+  averageRating: p.averageRating || 0,
+  totalReviews: p.totalReviews || 0,
+  createdAt: p.createdAt
 });
 
-// View Orders (User)
-router.get("/user/orders", auth, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    
-    const orders = await Order.find({ userId })
-      .populate("items.productId", "name price category")
-      .sort({ createdAt: -1 });
-
-    res.json({
-      message: "Orders retrieved successfully",
-      totalOrders: orders.length,
-      orders
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
+// Admin Product List (all statuses)
+/**
+ * @swagger
+ * /api/products/admin/products:
+ *   get:
+ *     tags:
+ *       - Products
+ *     summary: List products in any status (staff)
+ *     description: Accepts the same filters, sorting and paging as GET /api/products. Without status every non-deleted product is listed; deleted=true lists soft-deleted products instead.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, active, archived]
+ *       - in: query
+ *         name: deleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, price_asc, price_desc, rating]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Page of products with their lifecycle fields
+ */
+router.get("/admin/products", auth, requirePermission("products:write"), validate({ query: adminListProductsQuery }), async (req, res) => {
+  const { products, pagination } = await productService.listProducts(req.query, { admin: true });
+  const mapped = products.map(p => ({
+    ...listItem(p),
+    status: productStatusService.effectiveStatus(p),
+    publishAt: p.publishAt,
+    deletedAt: p.deletedAt,
+    assignedAdmin: p.assignedAdmin,
+    updatedAt: p.updatedAt
+  }));
+
+  res.json({
+    message: "Products retrieved successfully",
+    count: mapped.length,
+    products: mapped,
+    pagination
+  });
+});
+
+
+router.post("/assign", auth, requirePermission("products:assign"), validate({ body: assignProductBody }), async (req, res) => {
+  const { productId, adminId } = req.body;
+
+  const assignee = await User.findById(adminId).select("role");
+  if (!assignee || !STAFF_ROLES.includes(assignee.role)) {
+    throw httpError(400, "Products can only be assigned to staff accounts");
+  }
+
+  const product = await Product.findByIdAndUpdate(
+    productId,
+    { assignedAdmin: adminId },
+    { new: true }
+  );
+
+  if (!product) {
+    throw httpError(404, "Product not found");
+  }
+
+  res.json({
+    message: "Product assigned successfully",
+    product
+  });
+});
+
+
+router.put("/update/:id", auth, requirePermission("products:write"), validate({ params: idParams, body: updateProductBody }), async (req, res) => {
+  const existing = await Product.findById(req.params.id);
+  if (!existing || existing.deletedAt) {
+    throw httpError(404, "Product not found");
+  }
+
+  if (!canEditProduct(req.user, existing)) {
+    throw httpError(403, "You can only update products assigned to you");
+  }
+
+  if (req.body.category && !(await Category.exists({ _id: req.body.category }))) {
+    throw httpError(400, "Category not found");
+  }
+
+  if (existing.variants.length && (req.body.price !== undefined || req.body.stock !== undefined)) {
+    throw httpError(400, "Price and stock of a product with variants are set per variant");
+  }
+
+  // Only the fields that were sent are changed
+  const product = await Product.findByIdAndUpdate(
+    req.params.id,
+    { ...req.body, updatedAt: new Date() },
+    { new: true, runValidators: true }
+  );
+
+  res.json({
+    message: "Product updated successfully",
+    product
+  });
+});
+
+// Loads a product the caller may edit (see config/permissions.js). Deleted
+// products are only found when asked for.
+const loadEditableProduct = async (req, { includeDeleted = false } = {}) => {
+  const product = await Product.findById(req.params.productId);
+  if (!product || (product.deletedAt && !includeDeleted)) {
+    throw httpError(404, "Product not found");
+  }
+  if (!canEditProduct(req.user, product)) {
+    throw httpError(403, "You can only update products assigned to you");
+  }
+  return product;
+};
+
+const lifecycleOf = (product) => ({
+  id: product._id,
+  name: product.name,
+  status: productStatusService.effectiveStatus(product),
+  publishAt: product.publishAt,
+  deletedAt: product.deletedAt,
+  updatedAt: product.updatedAt
+});
+
+// Publish Product (products:write)
+/**
+ * @swagger
+ * /api/products/{productId}/publish:
+ *   post:
+ *     tags:
+ *       - Products
+ *     summary: Put a product on the storefront, now or at a scheduled time
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Omit to publish immediately
+ *     responses:
+ *       200:
+ *         description: Product published or scheduled
+ *       409:
+ *         description: Product is deleted
+ */
+router.post("/:productId/publish", auth, requirePermission("products:write"), validate({ params: productIdParams, body: publishProductBody }), async (req, res) => {
+  const product = await productStatusService.publishProduct(await loadEditableProduct(req), req.body);
+
+  res.json({
+    message: productStatusService.effectiveStatus(product) === "scheduled"
+      ? "Product scheduled for publishing"
+      : "Product published successfully",
+    product: lifecycleOf(product)
+  });
+});
+
+// Unpublish Product (products:write)
+/**
+ * @swagger
+ * /api/products/{productId}/unpublish:
+ *   post:
+ *     tags:
+ *       - Products
+ *     summary: Take a product off the storefront (back to draft, or archived)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [draft, archived]
+ *                 default: draft
+ *     responses:
+ *       200:
+ *         description: Product unpublished
+ */
+router.post("/:productId/unpublish", auth, requirePermission("products:write"), validate({ params: productIdParams, body: unpublishProductBody }), async (req, res) => {
+  const product = await productStatusService.unpublishProduct(await loadEditableProduct(req), req.body);
+
+  res.json({
+    message: "Product unpublished successfully",
+    product: lifecycleOf(product)
+  });
+});
+
+// Delete Product (products:write, soft delete)
+/**
+ * @swagger
+ * /api/products/{productId}:
+ *   delete:
+ *     tags:
+ *       - Products
+ *     summary: Delete a product
+ *     description: Soft delete. The product disappears from the storefront and carts but stays available to existing orders and reviews, and can be restored.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product deleted
+ *       404:
+ *         description: Product not found
+ */
+router.delete("/:productId", auth, requirePermission("products:write"), validate({ params: productIdParams }), async (req, res) => {
+  const product = await productStatusService.deleteProduct(await loadEditableProduct(req), req.user.id);
+
+  res.json({
+    message: "Product deleted successfully",
+    product: lifecycleOf(product)
+  });
+});
+
+// Restore Product (products:write)
+/**
+ * @swagger
+ * /api/products/{productId}/restore:
+ *   post:
+ *     tags:
+ *       - Products
+ *     summary: Restore a deleted product as a draft
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product restored
+ *       409:
+ *         description: Product is not deleted
+ */
+router.post("/:productId/restore", auth, requirePermission("products:write"), validate({ params: productIdParams }), async (req, res) => {
+  const product = await productStatusService.restoreProduct(await loadEditableProduct(req, { includeDeleted: true }));
+
+  res.json({
+    message: "Product restored successfully",
+    product: lifecycleOf(product)
+  });
+});
+
+// Set Variant Options (products:write)
+/**
+ * @swagger
+ * /api/products/{productId}/options:
+ *   put:
+ *     tags:
+ *       - Variants
+ *     summary: Define the options variants choose from (e.g. Size, Colour)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     values:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *     responses:
+ *       200:
+ *         description: Options updated
+ *       409:
+ *         description: An existing variant does not fit the new options
+ */
+router.put("/:productId/options", auth, requirePermission("products:write"), validate({ params: productIdParams, body: optionsBody }), async (req, res) => {
+  const product = await variantService.setOptions(await loadEditableProduct(req), req.body.options);
+
+  res.json({
+    message: "Product options updated successfully",
+    options: product.options
+  });
+});
+
+// Add Variant (products:write)
+/**
+ * @swagger
+ * /api/products/{productId}/variants:
+ *   post:
+ *     tags:
+ *       - Variants
+ *     summary: Add a SKU with its own price and stock
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sku:
+ *                 type: string
+ *               attributes:
+ *                 type: object
+ *                 description: "One value per option, e.g. { \"Size\": \"M\" }"
+ *               price:
+ *                 type: number
+ *               stock:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Variant added
+ *       409:
+ *         description: SKU or option combination already used
+ */
+router.post("/:productId/variants", auth, requirePermission("products:write"), validate({ params: productIdParams, body: addVariantBody }), async (req, res) => {
+  const product = await variantService.addVariant(await loadEditableProduct(req), req.body);
+
+  res.status(201).json({
+    message: "Variant added successfully",
+    variants: product.variants
+  });
+});
+
+// Update Variant (products:write)
+/**
+ * @swagger
+ * /api/products/{productId}/variants/{variantId}:
+ *   put:
+ *     tags:
+ *       - Variants
+ *     summary: Update a variant's SKU, options, price or stock
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sku:
+ *                 type: string
+ *               attributes:
+ *                 type: object
+ *               price:
+ *                 type: number
+ *               stock:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Variant updated
+ *       409:
+ *         description: Conflicting SKU/options, or stock changed concurrently
+ */
+router.put("/:productId/variants/:variantId", auth, requirePermission("products:write"), validate({ params: variantParams, body: updateVariantBody }), async (req, res) => {
+  const product = await variantService.updateVariant(await loadEditableProduct(req), req.params.variantId, req.body);
+
+  res.json({
+    message: "Variant updated successfully",
+    variants: product.variants
+  });
+});
+
+// Delete Variant (products:write)
+/**
+ * @swagger
+ * /api/products/{productId}/variants/{variantId}:
+ *   delete:
+ *     tags:
+ *       - Variants
+ *     summary: Delete a variant
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Variant deleted
+ */
+router.delete("/:productId/variants/:variantId", auth, requirePermission("products:write"), validate({ params: variantParams }), async (req, res) => {
+  const product = await variantService.deleteVariant(await loadEditableProduct(req), req.params.variantId);
+
+  res.json({
+    message: "Variant deleted successfully",
+    variants: product.variants
+  });
+});
+
+// Upload Product Images (products:write)
+/**
+ * @swagger
+ * /api/products/{productId}/images:
+ *   post:
+ *     tags:
+ *       - Images
+ *     summary: Upload images for a product (multipart)
+ *     description: JPEG, PNG or WebP, up to 10 files per request and 5 MB each. A thumbnail is generated for every image. The product's first image becomes its primary image.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               alt:
+ *                 type: array
+ *                 description: Alt text per file, in the same order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Images stored
+ *       400:
+ *         description: Missing, oversized or invalid image
+ */
+router.post("/:productId/images", auth, requirePermission("products:write"), uploadImages("images"), validate({ params: productIdParams, body: uploadImagesBody }), async (req, res) => {
+  const alts = [].concat(req.body.alt || []);
+  const images = await imageService.addImages(await loadEditableProduct(req), req.files, alts);
+
+  res.status(201).json({
+    message: "Images uploaded successfully",
+    images
+  });
+});
+
+// Reorder Product Images (products:write)
+/**
+ * @swagger
+ * /api/products/{productId}/images:
+ *   put:
+ *     tags:
+ *       - Images
+ *     summary: Set the display order of a product's images
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               order:
+ *                 type: array
+ *                 description: Every image id of the product, in display order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Images reordered
+ */
+router.put("/:productId/images", auth, requirePermission("products:write"), validate({ params: productIdParams, body: reorderImagesBody }), async (req, res) => {
+  const images = await imageService.reorderImages(await loadEditableProduct(req), req.body.order);
+
+  res.json({
+    message: "Images reordered successfully",
+    images
+  });
+});
+
+// Update Product Image (products:write)
+/**
+ * @swagger
+ * /api/products/{productId}/images/{imageId}:
+ *   put:
+ *     tags:
+ *       - Images
+ *     summary: Change an image's alt text or make it the primary image
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               alt:
+ *                 type: string
+ *               isPrimary:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Image updated
+ */
+router.put("/:productId/images/:imageId", auth, requirePermission("products:write"), validate({ params: imageParams, body: updateImageBody }), async (req, res) => {
+  const images = await imageService.updateImage(await loadEditableProduct(req), req.params.imageId, req.body);
+
+  res.json({
+    message: "Image updated successfully",
+    images
+  });
+});
+
+// Delete Product Image (products:write)
+/**
+ * @swagger
+ * /api/products/{productId}/images/{imageId}:
+ *   delete:
+ *     tags:
+ *       - Images
+ *     summary: Delete an image and its files
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Image deleted
+ */
+router.delete("/:productId/images/:imageId", auth, requirePermission("products:write"), validate({ params: imageParams }), async (req, res) => {
+  const images = await imageService.deleteImage(await loadEditableProduct(req), req.params.imageId);
+
+  res.json({
+    message: "Image deleted successfully",
+    images
+  });
+});
+
+// Review Moderation Queue (reviews:moderate)
+/**
+ * @swagger
+ * /api/products/admin/reviews:
+ *   get:
+ *     tags:
+ *       - Reviews
+ *     summary: List reviews by moderation status, oldest first
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Page of reviews with product and reviewer
+ */
+router.get("/admin/reviews", auth, requirePermission("reviews:moderate"), validate({ query: moderationQueueQuery }), async (req, res) => {
+  const { reviews, pagination } = await reviewService.listForModeration(req.query);
+
+  res.json({
+    message: "Reviews retrieved",
+    count: reviews.length,
+    reviews,
+    pagination
+  });
+});
+
+// Moderate Review (reviews:moderate)
+/**
+ * @swagger
+ * /api/products/admin/reviews/{reviewId}:
+ *   put:
+ *     tags:
+ *       - Reviews
+ *     summary: Approve or reject a review
+ *     description: Only approved reviews are shown and counted in the product's rating.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review moderated
+ *       404:
+ *         description: Review not found
+ */
+router.put("/admin/reviews/:reviewId", auth, requirePermission("reviews:moderate"), validate({ params: reviewIdParams, body: moderateReviewBody }), async (req, res) => {
+  const review = await reviewService.moderateReview(req.params.reviewId, req.user.id, req.body);
+
+  res.json({
+    message: `Review ${review.status}`,
+    review: reviewService.serializeForModeration(review)
+  });
+});
+
+// Order Payment View (Admin only)
+/**
+ * @swagger
+ * /api/products/orders/payment:
+ *   get:
+ *     tags:
+ *       - Orders
+ *     summary: View payment details for orders (admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Payment details with refunds (paymentStatus is partially_refunded or refunded once money went back)
+ */
+router.get("/orders/payment", auth, requirePermission("orders:manage"), async (req, res) => {
+  const orders = await Order.find().populate("userId", "name email").populate("items.productId", "name price");
+  
+  const paymentDetails = orders.map(order => ({
+    orderId: order._id,
+    userId: order.userId,
+    totalAmount: order.totalAmount,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+    paymentDueAt: order.paymentDueAt,
+    paidAt: order.paidAt,
+    refundedTotal: order.refundedTotal || 0,
+    refunds: order.refunds,
+    createdAt: order.createdAt
+  }));
+
+  res.json({
+    message: "Payment details retrieved",
+    totalOrders: paymentDetails.length,
+    payments: paymentDetails
+  });
+});
+
+// Delivery Tracking GET (Admin only)
+/**
+ * @swagger
+ * /api/products/delivery-tracking:
+ *   get:
+ *     tags:
+ *       - Delivery
+ *     summary: Get delivery tracking information (admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Delivery tracking
+ */
+router.get("/delivery-tracking", auth, requirePermission("orders:manage"), async (req, res) => {
+  const orders = await Order.find().populate("userId", "name email").select("_id userId deliveryAddress deliveryTracking orderStatus");
+
+  res.json({
+    message: "Delivery tracking retrieved",
+    totalOrders: orders.length,
+    orders: orders
+  });
+});
+
+// Delivery Tracking POST (Admin only - Update tracking)
+/**
+ * @swagger
+ * /api/products/delivery-tracking:
+ *   post:
+ *     tags:
+ *       - Delivery
+ *     summary: Update delivery tracking (admin only)
+ *     description: Records a tracking event on the order's latest shipment, creating one without a carrier if needed. Use /api/shipments for orders shipped in several packages.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               estimatedDelivery:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tracking updated
+ *       409:
+ *         description: Order is cancelled/returned or cannot move to the implied status
+ */
+router.post("/delivery-tracking", auth, requirePermission("orders:manage"), validate({ body: trackingBody }), async (req, res) => {
+  const { orderId, status, location, estimatedDelivery } = req.body;
+
+  const order = await shipmentService.updateDeliveryTracking(
+    orderId,
+    { status, location, estimatedDelivery },
+    req.user.id
+  );
+
+  res.json({
+    message: "Delivery tracking updated successfully",
+    order
+  });
+});
+
+// Order status actions (Admin only) - each action is one step of the order lifecycle
+const ORDER_STATUS_ACTIONS = {
+  confirm: "confirmed",
+  process: "processing",
+  ship: "shipped",
+  deliver: "delivered"
+};
+
+/**
+ * @swagger
+ * /api/products/admin/orders/{orderId}/{action}:
+ *   post:
+ *     tags:
+ *       - Orders
+ *     summary: Move an order to its next status (admin only)
+ *     description: "Allowed moves are pending -> confirmed -> processing -> shipped -> delivered. Only paid orders can be confirmed (paying confirms them automatically). Cancellation goes through DELETE /orders/{orderId} and returns through /api/returns, which mark the order returned once every unit is received back. Every change is appended to the order's statusHistory."
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [confirm, process, ship, deliver]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order status updated
+ *       409:
+ *         description: Transition not allowed from the current status, or the order is not paid yet (PAYMENT_REQUIRED)
+ */
+router.post("/admin/orders/:orderId/:action", auth, requirePermission("orders:manage"), validate({ params: orderActionParams, body: orderActionBody }), async (req, res) => {
+  const { orderId, action } = req.params;
+  const status = ORDER_STATUS_ACTIONS[action];
+
+  const order = await orderService.transitionOrder(orderId, status, {
+    changedBy: req.user.id,
+    note: req.body.note || ""
+  });
+
+  res.json({
+    message: `Order ${status}`,
+    order
+  });
+});
+
+// ===== PUBLIC/USER ROUTES =====
+
+// Start a Guest Cart (for logged-out shoppers)
+/**
+ * @swagger
+ * /api/products/cart/guest:
+ *   post:
+ *     tags:
+ *       - Cart
+ *     summary: Create an anonymous guest cart
+ *     description: Returns a cart token to send as the X-Cart-Token header on cart routes. Pass it as cartToken on login to merge the guest cart into the user's cart.
+ *     responses:
+ *       201:
+ *         description: Guest cart created
+ */
+router.post("/cart/guest", async (req, res) => {
+  const cartToken = await cartService.createGuestCart();
+
+  res.status(201).json({
+    message: "Guest cart created",
+    cartToken
+  });
+});
+
+// Get current user's cart (priced, with stock flags)
+/**
+ * @swagger
+ * /api/products/cart:
+ *   get:
+ *     tags:
+ *       - Cart
+ *     summary: Get the current user's or guest's cart
+ *     description: Returns each line with its subtotal and a status of ok, out_of_stock, insufficient_stock or unavailable (product deleted). Only "ok" lines count towards itemCount and totalAmount.
+ *     security:
+ *       - BearerAuth: []
+ *       - CartToken: []
+ *     responses:
+ *       200:
+ *         description: User cart with totals
+ */
+router.get("/cart", cartOwner, async (req, res) => {
+  const cart = await cartService.getCart(req.cartOwner);
+
+  res.json({
+    message: "Cart retrieved successfully",
+    cart
+  });
+});
+
+// Add to Cart (user or guest cart token)
+/**
+ * @swagger
+ * /api/products/cart/add:
+ *   post:
+ *     tags:
+ *       - Cart
+ *     summary: Add product to cart (user or guest)
+ *     description: Adding a product that is already in the cart increases its quantity. The resulting quantity must not exceed the product's stock.
+ *     security:
+ *       - BearerAuth: []
+ *       - CartToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               variantId:
+ *                 type: string
+ *                 description: Required for products with variants
+ *               quantity:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Product added to cart
+ *       400:
+ *         description: Invalid quantity or not enough stock
+ */
+router.post("/cart/add", cartOwner, validate({ body: addToCartBody }), async (req, res) => {
+  const { productId, variantId, quantity } = req.body;
+
+  const cart = await cartService.addItem(req.cartOwner, productId, quantity, variantId);
+
+  res.json({
+    message: "Product added to cart successfully",
+    cart
+  });
+});
+
+// Set quantity of a cart line
+/**
+ * @swagger
+ * /api/products/cart/update/{productId}:
+ *   put:
+ *     tags:
+ *       - Cart
+ *     summary: Set the quantity of a product in the cart (0 removes it)
+ *     security:
+ *       - BearerAuth: []
+ *       - CartToken: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               variantId:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Cart updated
+ *       404:
+ *         description: Product is not in the cart
+ */
+router.put("/cart/update/:productId", cartOwner, validate({ params: productIdParams, body: setQuantityBody }), async (req, res) => {
+  const { productId } = req.params;
+  const { variantId, quantity } = req.body;
+
+  const cart = await cartService.setQuantity(req.cartOwner, productId, quantity, variantId);
+
+  res.json({
+    message: "Cart updated successfully",
+    cart
+  });
+});
+
+// Delete from Cart
+router.delete("/cart/delete/:productId", cartOwner, validate({ params: productIdParams, query: removeFromCartQuery }), async (req, res) => {
+  const { productId } = req.params;
+
+  const cart = await cartService.removeItem(req.cartOwner, productId, req.query.variantId);
+
+  res.json({
+    message: "Product removed from cart successfully",
+    cart
+  });
+});
+
+// Clear Cart
+/**
+ * @swagger
+ * /api/products/cart/clear:
+ *   delete:
+ *     tags:
+ *       - Cart
+ *     summary: Remove every product from the cart
+ *     security:
+ *       - BearerAuth: []
+ *       - CartToken: []
+ *     responses:
+ *       200:
+ *         description: Cart cleared
+ */
+router.delete("/cart/clear", cartOwner, async (req, res) => {
+  const cart = await cartService.clearCart(req.cartOwner);
+
+  res.json({
+    message: "Cart cleared successfully",
+    cart
+  });
+});
+
+// Validate Coupon against the cart (user or guest cart token)
+/**
+ * @swagger
+ * /api/products/cart/coupon/validate:
+ *   post:
+ *     tags:
+ *       - Cart
+ *     summary: Check a coupon code against the cart
+ *     description: Prices the coupon against the cart lines that can be ordered, without using it up. Per-user limits are only checked for logged-in users.
+ *     security:
+ *       - BearerAuth: []
+ *       - CartToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Coupon applies; discount breakdown per line
+ *       400:
+ *         description: Coupon invalid, expired, used up or not applicable (code INVALID_COUPON)
+ */
+router.post("/cart/coupon/validate", cartOwner, validate({ body: validateCouponBody }), async (req, res) => {
+  const cart = await cartService.getCart(req.cartOwner);
+  const orderable = cart.items.filter(item => item.status === "ok");
+  const quote = await couponService.quoteCoupon(req.body.code, req.cartOwner.userId, orderable);
+
+  res.json({
+    message: "Coupon is valid",
+    coupon: quote.coupon,
+    subtotal: quote.subtotal,
+    eligibleSubtotal: quote.eligibleSubtotal,
+    discount: quote.discount,
+    totalAmount: roundMoney(quote.subtotal - quote.discount),
+    items: orderable.map((item, index) => ({
+      productId: item.productId,
+      variantId: item.variantId,
+      subtotal: item.subtotal,
+      discount: quote.lineDiscounts[index]
+    }))
+  });
+});
+
+// View Wishlist
+/**
+ * @swagger
+ * /api/products/wishlist:
+ *   get:
+ *     tags:
+ *       - Wishlist
+ *     summary: Get the wishlist with price-drop and stock indicators
+ *     description: Each entry shows the current price and stock next to the price when it was saved (priceDrop) and whether it came back in stock since (backInStock).
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Wishlist entries
+ */
+router.get("/wishlist", auth, async (req, res) => {
+  const wishlist = await wishlistService.getWishlist(req.user.id);
+
+  res.json({
+    message: "Wishlist retrieved successfully",
+    wishlist
+  });
+});
+
+// Add to Wishlist
+/**
+ * @swagger
+ * /api/products/wishlist/add:
+ *   post:
+ *     tags:
+ *       - Wishlist
+ *     summary: Save a product to the wishlist
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               variantId:
+ *                 type: string
+ *                 description: Optional, to save a specific variant
+ *     responses:
+ *       200:
+ *         description: Product saved (saving it again changes nothing)
+ */
+router.post("/wishlist/add", auth, validate({ body: addToWishlistBody }), async (req, res) => {
+  const { productId, variantId } = req.body;
+  const wishlist = await wishlistService.addItem(req.user.id, productId, variantId);
+
+  res.json({
+    message: "Product added to wishlist successfully",
+    wishlist
+  });
+});
+
+// Remove from Wishlist
+/**
+ * @swagger
+ * /api/products/wishlist/delete/{productId}:
+ *   delete:
+ *     tags:
+ *       - Wishlist
+ *     summary: Remove a product from the wishlist
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *         description: Omit to remove every saved variant of the product
+ *     responses:
+ *       200:
+ *         description: Product removed
+ */
+router.delete("/wishlist/delete/:productId", auth, validate({ params: productIdParams, query: removeFromWishlistQuery }), async (req, res) => {
+  const wishlist = await wishlistService.removeItem(req.user.id, req.params.productId, req.query.variantId);
+
+  res.json({
+    message: "Product removed from wishlist successfully",
+    wishlist
+  });
+});
+
+// Move Wishlist Item to Cart
+/**
+ * @swagger
+ * /api/products/wishlist/move-to-cart/{productId}:
+ *   post:
+ *     tags:
+ *       - Wishlist
+ *     summary: Move a saved product into the cart
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               variantId:
+ *                 type: string
+ *                 description: Required for products with variants saved without one
+ *               quantity:
+ *                 type: integer
+ *                 default: 1
+ *     responses:
+ *       200:
+ *         description: Updated cart and wishlist
+ *       400:
+ *         description: Not enough stock or no variant chosen
+ */
+router.post("/wishlist/move-to-cart/:productId", auth, validate({ params: productIdParams, body: moveToCartBody }), async (req, res) => {
+  const { cart, wishlist } = await wishlistService.moveToCart(req.user.id, req.params.productId, req.body);
+
+  res.json({
+    message: "Product moved to cart successfully",
+    cart,
+    wishlist
+  });
+});
+
+// Save Cart Item for Later
+/**
+ * @swagger
+ * /api/products/cart/save-for-later/{productId}:
+ *   post:
+ *     tags:
+ *       - Wishlist
+ *     summary: Move a cart line to the wishlist
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               variantId:
+ *                 type: string
+ *                 description: Required for products with variants
+ *     responses:
+ *       200:
+ *         description: Updated cart and wishlist
+ *       404:
+ *         description: Product is not in the cart
+ */
+router.post("/cart/save-for-later/:productId", auth, validate({ params: productIdParams, body: saveForLaterBody }), async (req, res) => {
+  const { cart, wishlist } = await wishlistService.saveForLater(req.user.id, req.params.productId, req.body.variantId);
+
+  res.json({
+    message: "Product saved for later",
+    cart,
+    wishlist
+  });
+});
+
+// View All Products (paginated, filterable, searchable)
+/**
+ * @swagger
+ * /api/products:
+ *   get:
+ *     tags:
+ *       - Products
+ *     summary: Get list of products
+ *     description: Pages with page/limit, or with the nextCursor of the previous response. Searching with q and no sort orders by relevance.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Full-text search over name and description
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category id or slug (includes its subcategories)
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, price_asc, price_desc, rating]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Page of products with pagination metadata (total, nextCursor)
+ */
+router.get("/", validate({ query: listProductsQuery }), async (req, res) => {
+  const { products, pagination } = await productService.listProducts(req.query);
+  const mapped = products.map(listItem);
+
+  res.json({
+    message: "Products retrieved successfully",
+    count: mapped.length,
+    products: mapped,
+    pagination
+  });
+});
+
+// View Single Product
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   get:
+ *     tags:
+ *       - Products
+ *     summary: Get product by id
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product details
+ */
+router.get("/:id", validate({ params: idParams }), async (req, res) => {
+  const product = await Product.findOne({ _id: req.params.id, ...productStatusService.storefrontFilter() })
+    .populate("category", "name slug parent");
+  
+  if (!product) {
+    throw httpError(404, "Product not found");
   }
+
+  res.json({
+    message: "Product retrieved successfully",
+    product: {
+      id: product._id,
+      name: product.name,
+      price: product.price,
+      description: product.description,
+      category: product.category,
+      stock: product.stock,
+      weight: product.weight,
+      images: imageService.serializeImages(product),
+      options: product.options,
+      variants: product.variants,
+      averageRating: product.averageRating || 0,
+      totalReviews: product.totalReviews || 0,
+      createdAt: product.createdAt
+    }
+  });
+});
+
+// Place Order (POST)
+/**
+ * @swagger
+ * /api/products/orders/place:
+ *   post:
+ *     tags:
+ *       - Orders
+ *     summary: Place an order (user)
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     variantId:
+ *                       type: string
+ *                       description: Required for products with variants
+ *                     quantity:
+ *                       type: integer
+ *               deliveryAddress:
+ *                 $ref: '#/components/schemas/Address'
+ *               addressId:
+ *                 type: string
+ *                 description: Address book entry to deliver to (instead of deliveryAddress); defaults to the default address
+ *               paymentMethod:
+ *                 type: string
+ *               couponCode:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Order created with subtotal, discountTotal, shippingTotal, taxTotal and totalAmount
+ */
+router.post("/orders/place", auth, validate({ body: placeOrderBody }), async (req, res) => {
+  const { items, deliveryAddress, addressId, paymentMethod, couponCode } = req.body;
+  const userId = req.user.id;
+
+  const order = await orderService.placeOrder(userId, items, { deliveryAddress, addressId, paymentMethod, couponCode });
+
+  res.status(201).json({
+    message: "Order placed successfully",
+    order: await order.populate("userId", "name email")
+  });
 });
 
-// Cancel Order / Delete Order
-router.delete("/orders/:orderId", auth, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const { orderId } = req.params;
+// Quote Order (prices items like /orders/place without reserving stock or using the coupon)
+/**
+ * @swagger
+ * /api/products/orders/quote:
+ *   post:
+ *     tags:
+ *       - Orders
+ *     summary: Price items with discounts, shipping and tax (user)
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     variantId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *               couponCode:
+ *                 type: string
+ *               region:
+ *                 type: string
+ *                 description: Country code, optionally with subdivision (IN, IN-KA), used for shipping and tax; defaults to DEFAULT_REGION
+ *     responses:
+ *       200:
+ *         description: Quote with per-line discount and tax, the shipping rule used and the totals
+ *       400:
+ *         description: Invalid coupon or no shipping tier covers the order
+ */
+router.post("/orders/quote", auth, validate({ body: quoteOrderBody }), async (req, res) => {
+  const { items, couponCode, region } = req.body;
 
-    const order = await Order.findById(orderId);
-    
-    if (!order) {
-      return res.status(404).json({ message: "Order not found" });
-    }
+  const quote = await orderService.quoteOrder(req.user.id, items, { couponCode, region });
 
-    if (order.userId.toString() !== userId && req.user.role !== "admin") {
-      return res.status(403).json({ message: "Unauthorized to delete this order" });
-    }
+  res.json({
+    message: "Order quote generated",
+    quote
+  });
+});
 
-    if (order.orderStatus === "delivered") {
-      return res.status(400).json({ message: "Cannot cancel a delivered order" });
-    }
+// Checkout Preview (prices and stock issues for the stored cart, nothing is committed)
+/**
+ * @swagger
+ * /api/products/orders/checkout/preview:
+ *   post:
+ *     tags:
+ *       - Orders
+ *     summary: Preview a checkout of the stored cart (user)
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               productIds:
+ *                 type: array
+ *                 description: Only check out these cart products (defaults to the whole cart)
+ *                 items:
+ *                   type: string
+ *               deliveryAddress:
+ *                 $ref: '#/components/schemas/Address'
+ *               addressId:
+ *                 type: string
+ *                 description: Address book entry to deliver to (instead of deliveryAddress); defaults to the default address
+ *               couponCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Priced checkout preview with stock issues flagged, discount and tax per line, shipping and totals
+ */
+router.post("/orders/checkout/preview", auth, validate({ body: checkoutPreviewBody }), async (req, res) => {
+  const { productIds, deliveryAddress, addressId, couponCode } = req.body;
 
-    // Restore stock for cancelled order
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(
-        item.productId,
-        { $inc: { stock: item.quantity } }
-      );
-    }
+  const preview = await orderService.previewCheckout(req.user.id, { productIds, deliveryAddress, addressId, couponCode });
 
-    const deletedOrder = await Order.findByIdAndDelete(orderId);
+  res.json({
+    message: "Checkout preview generated",
+    preview
+  });
+});
 
-    res.json({
-      message: "Order cancelled/deleted successfully",
-      order: deletedOrder
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
+// Checkout (turns the stored cart into an order)
+/**
+ * @swagger
+ * /api/products/orders/checkout:
+ *   post:
+ *     tags:
+ *       - Orders
+ *     summary: Place an order from the stored cart (user)
+ *     description: Orders every cart line (or only productIds) and removes just those lines from the cart. Fails with the preview attached if any selected line is unavailable or out of stock.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               productIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               deliveryAddress:
+ *                 $ref: '#/components/schemas/Address'
+ *               addressId:
+ *                 type: string
+ *                 description: Address book entry to deliver to (instead of deliveryAddress); defaults to the default address
+ *               paymentMethod:
+ *                 type: string
+ *               couponCode:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Order created
+ *       400:
+ *         description: Empty cart, missing address/payment method, stock issues, invalid coupon or no shipping to the region
+ */
+router.post("/orders/checkout", auth, validate({ body: checkoutBody }), async (req, res) => {
+  const { productIds, deliveryAddress, addressId, paymentMethod, couponCode } = req.body;
+
+  const order = await orderService.checkout(req.user.id, { productIds, deliveryAddress, addressId, paymentMethod, couponCode });
+
+  res.status(201).json({
+    message: "Order placed successfully",
+    order: await order.populate("userId", "name email")
+  });
+});
+
+// View Orders (User)
+router.get("/user/orders", auth, async (req, res) => {
+  const userId = req.user.id;
+  
+  const orders = await Order.find({ userId })
+    .populate("items.productId", "name price category")
+    .sort({ createdAt: -1 });
+
+  res.json({
+    message: "Orders retrieved successfully",
+    totalOrders: orders.length,
+    orders
+  });
+});
+
+// Cancel Order (soft - the order is kept with its cancellation details)
+/**
+ * @swagger
+ * /api/products/orders/{orderId}:
+ *   delete:
+ *     tags:
+ *       - Orders
+ *     summary: Cancel an order (owner or staff)
+ *     description: Marks the order as cancelled, restocks its items once and refunds the payment of a paid order. Orders that have shipped can no longer be cancelled. Repeating the call on a cancelled order only retries a restock or refund that did not go through.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order cancelled
+ *       409:
+ *         description: Order has already shipped
+ */
+router.delete("/orders/:orderId", auth, validate({ params: orderIdParams, body: cancelOrderBody, query: cancelOrderQuery }), async (req, res) => {
+  const { orderId } = req.params;
+  const reason = req.body.reason || req.query.reason || "";
+
+  const order = await orderService.cancelOrder(orderId, {
+    userId: req.user.id,
+    role: req.user.role,
+    reason
+  });
+
+  res.json({
+    message: "Order cancelled successfully",
+    order
+  });
 });
 
 // Update Profile
-router.put("/profile/update", auth, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const { name, email, phone, address } = req.body;
-
-    const user = await User.findByIdAndUpdate(
-      userId,
-      { name, email, phone, address },
-      { new: true }
-    );
-
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
-    }
+router.put("/profile/update", auth, validate({ body: updateProfileBody }), async (req, res) => {
+  const userId = req.user.id;
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { ...req.body, updatedAt: new Date() },
+    { new: true, runValidators: true }
+  ).select("-password");
+
+  if (!user) {
+    throw httpError(404, "User not found");
+  }
+
+  res.json({
+    message: "Profile updated successfully",
+    user
+  });
+});
+
+// View Product Reviews (approved only)
+/**
+ * @swagger
+ * /api/products/{productId}/reviews:
+ *   get:
+ *     tags:
+ *       - Reviews
+ *     summary: Get a product's reviews with a rating histogram
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, helpful, rating_desc, rating_asc]
+ *           default: newest
+ *       - in: query
+ *         name: rating
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         description: Only reviews with this many stars
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Page of reviews, rating summary and histogram (approved reviews per star)
+ *       404:
+ *         description: Product not found
+ */
+router.get("/:productId/reviews", validate({ params: productIdParams, query: listReviewsQuery }), async (req, res) => {
+  const { product, histogram, reviews, pagination } = await reviewService.listProductReviews(req.params.productId, req.query);
+
+  res.json({
+    message: "Reviews retrieved successfully",
+    rating: {
+      average: product.averageRating || 0,
+      total: product.totalReviews || 0,
+      histogram
+    },
+    count: reviews.length,
+    reviews,
+    pagination
+  });
+});
 
-    res.json({
-      message: "Profile updated successfully",
-      user
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
+// Post Review (one per user and product)
+/**
+ * @swagger
+ * /api/products/{productId}/reviews:
+ *   post:
+ *     tags:
+ *       - Reviews
+ *     summary: Review a product
+ *     description: Each user can review a product once. Reviews are marked as verified purchases when the user has a delivered order for the product, and are published after moderation.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Review submitted for moderation
+ *       409:
+ *         description: The user already reviewed this product
+ */
+router.post("/:productId/reviews", auth, validate({ params: productIdParams, body: reviewBody }), async (req, res) => {
+  const user = await User.findById(req.user.id).select("name");
+  if (!user) {
+    throw httpError(404, "User not found");
   }
+
+  const review = await reviewService.createReview(req.params.productId, user, req.body);
+
+  res.status(201).json({
+    message: "Review submitted and awaiting moderation",
+    review: reviewService.serializeForModeration(review)
+  });
 });
 
-// Post Review
-router.post("/:productId/reviews", auth, async (req, res) => {
-  try {
-    const { rating, comment } = req.body;
-    const userId = req.user.id;
-    const { productId } = req.params;
+// Edit Own Review
+/**
+ * @swagger
+ * /api/products/{productId}/reviews/{reviewId}:
+ *   put:
+ *     tags:
+ *       - Reviews
+ *     summary: Edit your review (it goes back to moderation)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review updated
+ *       403:
+ *         description: Not your review
+ */
+router.put("/:productId/reviews/:reviewId", auth, validate({ params: reviewParams, body: updateReviewBody }), async (req, res) => {
+  const { productId, reviewId } = req.params;
+  const review = await reviewService.updateReview(productId, reviewId, req.user.id, req.body);
+
+  res.json({
+    message: "Review updated and awaiting moderation",
+    review: reviewService.serializeForModeration(review)
+  });
+});
 
-    if (!rating || rating < 1 || rating > 5) {
-      return res.status(400).json({ message: "Rating must be between 1 and 5" });
-    }
+// Delete Review (author, or reviews:moderate)
+/**
+ * @swagger
+ * /api/products/{productId}/reviews/{reviewId}:
+ *   delete:
+ *     tags:
+ *       - Reviews
+ *     summary: Delete your review (moderators can delete any review)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Review deleted
+ *       403:
+ *         description: Not your review
+ */
+router.delete("/:productId/reviews/:reviewId", auth, validate({ params: reviewParams }), async (req, res) => {
+  const { productId, reviewId } = req.params;
+  await reviewService.deleteReview(productId, reviewId, { userId: req.user.id, role: req.user.role });
 
-    const user = await User.findById(userId);
-    
-    const product = await Product.findByIdAndUpdate(
-      productId,
-      {
-        $push: {
-          reviews: {
-            userId,
-            userName: user.name,
-            rating,
-            comment,
-            createdAt: new Date()
-          }
-        }
-      },
-      { new: true }
-    ).populate("reviews.userId", "name email");
-
-    if (!product) {
-      return res.status(404).json({ message: "Product not found" });
-    }
+  res.json({
+    message: "Review deleted successfully"
+  });
+});
 
-    // Calculate average rating
-    const totalRating = product.reviews.reduce((sum, review) => sum + review.rating, 0);
-    const averageRating = totalRating / product.reviews.length;
+// Mark Review Helpful
+/**
+ * @swagger
+ * /api/products/{productId}/reviews/{reviewId}/helpful:
+ *   post:
+ *     tags:
+ *       - Reviews
+ *     summary: Mark a review as helpful (once per user)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Vote recorded, with the review's helpful count
+ *       400:
+ *         description: Own review
+ *   delete:
+ *     tags:
+ *       - Reviews
+ *     summary: Take back a helpful vote
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Vote removed, with the review's helpful count
+ */
+router.post("/:productId/reviews/:reviewId/helpful", auth, validate({ params: reviewParams }), async (req, res) => {
+  const { productId, reviewId } = req.params;
+  const helpfulCount = await reviewService.voteHelpful(productId, reviewId, req.user.id);
+
+  res.json({
+    message: "Marked as helpful",
+    helpfulCount
+  });
+});
 
-    product.averageRating = parseFloat(averageRating.toFixed(2));
-    product.totalReviews = product.reviews.length;
-    await product.save();
+router.delete("/:productId/reviews/:reviewId/helpful", auth, validate({ params: reviewParams }), async (req, res) => {
+  const { productId, reviewId } = req.params;
+  const helpfulCount = await reviewService.removeHelpfulVote(productId, reviewId, req.user.id);
 
-    res.status(201).json({
-      message: "Review posted successfully",
-      product
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
+  res.json({
+    message: "Helpful vote removed",
+    helpfulCount
+  });
 });
 
 module.exports = router;
@@ -0,0 +1,185 @@
+const express=require('express');
+const auth=require("../middleware/authMiddleware");
+const requirePermission=require("../middleware/permissionMiddleware");
+const validate=require("../middleware/validate");
+const { toCsv }=require("../utils/csv");
+const { reportQuery, revenueQuery, topQuery }=require("../validators/reportSchemas");
+const reportService=require("../services/reportService");
+const router=express.Router();
+
+const day = (date) => date.toISOString().slice(0, 10);
+
+// Answers with JSON, or with a CSV download when ?format=csv
+const sendReport = (req, res, { name, rows, columns, json }) => {
+  if (req.query.format === "csv") {
+    res.attachment(`${name}_${day(req.query.from)}_${day(req.query.to)}.csv`);
+    res.type("text/csv").send(toCsv(rows, columns));
+    return;
+  }
+  res.json({ from: req.query.from, to: req.query.to, ...json });
+};
+
+router.use(auth, requirePermission("reports:read"));
+
+
+// Sales Summary (reports:read)
+/**
+ * @swagger
+ * /api/reports/summary:
+ *   get:
+ *     tags:
+ *       - Reports
+ *     summary: Sales totals, average order value and repeat-customer rate
+ *     description: "Sales are paid orders placed in the range that were not cancelled, refunded ones included; unpaid orders are left out. net is gross minus refunds; averageOrderValue is net per order. repeatCustomerRate is the percentage of the range's customers with at least two sales orders up to the end of the range."
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportFormat'
+ *     responses:
+ *       200:
+ *         description: Summary (JSON or CSV)
+ */
+router.get("/summary", validate({ query: reportQuery }), async (req, res) => {
+  const summary = await reportService.salesSummary(req.query);
+
+  sendReport(req, res, {
+    name: "sales-summary",
+    rows: [summary],
+    columns: Object.keys(summary),
+    json: { message: "Sales summary generated", summary }
+  });
+});
+
+// Revenue Over Time (reports:read)
+/**
+ * @swagger
+ * /api/reports/revenue:
+ *   get:
+ *     tags:
+ *       - Reports
+ *     summary: Revenue per day, week or month
+ *     description: Periods start at midnight in REPORT_TIMEZONE (default UTC); weeks start on Monday. Periods without sales are left out.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *       - $ref: '#/components/parameters/ReportFormat'
+ *     responses:
+ *       200:
+ *         description: Orders, gross, discounts, shipping, tax, refunds and net per period (JSON or CSV)
+ */
+router.get("/revenue", validate({ query: revenueQuery }), async (req, res) => {
+  const periods = await reportService.revenueOverTime(req.query);
+
+  sendReport(req, res, {
+    name: `revenue-by-${req.query.interval}`,
+    rows: periods,
+    columns: ["period", "orders", "gross", "discounts", "shipping", "tax", "refunds", "net"],
+    json: { message: "Revenue report generated", interval: req.query.interval, periods }
+  });
+});
+
+// Order Breakdown (reports:read)
+/**
+ * @swagger
+ * /api/reports/orders:
+ *   get:
+ *     tags:
+ *       - Reports
+ *     summary: Order counts by status, payment method and payment status
+ *     description: Counts every order placed in the range, cancelled ones included.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportFormat'
+ *     responses:
+ *       200:
+ *         description: Orders and amount per value of each dimension (JSON or CSV with a dimension column)
+ */
+router.get("/orders", validate({ query: reportQuery }), async (req, res) => {
+  const breakdown = await reportService.orderBreakdown(req.query);
+
+  sendReport(req, res, {
+    name: "orders-breakdown",
+    rows: [...breakdown.orderStatus, ...breakdown.paymentMethod, ...breakdown.paymentStatus],
+    columns: ["dimension", "value", "orders", "amount"],
+    json: { message: "Order breakdown generated", breakdown }
+  });
+});
+
+// Top Products (reports:read)
+/**
+ * @swagger
+ * /api/reports/top-products:
+ *   get:
+ *     tags:
+ *       - Reports
+ *     summary: Best-selling products by units or revenue
+ *     description: Counts paid, not cancelled orders. Revenue is the line subtotal after coupon discounts, before tax, shipping and refunds.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportSortBy'
+ *       - $ref: '#/components/parameters/ReportLimit'
+ *       - $ref: '#/components/parameters/ReportFormat'
+ *     responses:
+ *       200:
+ *         description: Products with units, revenue and order count (JSON or CSV)
+ */
+router.get("/top-products", validate({ query: topQuery }), async (req, res) => {
+  const products = await reportService.topProducts(req.query);
+
+  sendReport(req, res, {
+    name: "top-products",
+    rows: products,
+    columns: ["productId", "name", "units", "revenue", "orders"],
+    json: { message: "Top products report generated", sortBy: req.query.sortBy, products }
+  });
+});
+
+// Top Categories (reports:read)
+/**
+ * @swagger
+ * /api/reports/top-categories:
+ *   get:
+ *     tags:
+ *       - Reports
+ *     summary: Best-selling categories by units or revenue
+ *     description: Lines are grouped by the product's current category (not its parents); products without one are reported as Uncategorized.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportSortBy'
+ *       - $ref: '#/components/parameters/ReportLimit'
+ *       - $ref: '#/components/parameters/ReportFormat'
+ *     responses:
+ *       200:
+ *         description: Categories with units, revenue and order count (JSON or CSV)
+ */
+router.get("/top-categories", validate({ query: topQuery }), async (req, res) => {
+  const categories = await reportService.topCategories(req.query);
+
+  sendReport(req, res, {
+    name: "top-categories",
+    rows: categories,
+    columns: ["categoryId", "name", "units", "revenue", "orders"],
+    json: { message: "Top categories report generated", sortBy: req.query.sortBy, categories }
+  });
+});
+
+module.exports = router;
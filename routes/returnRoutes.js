@@ -0,0 +1,314 @@
+const express=require('express');
+const auth=require("../middleware/authMiddleware");
+const requirePermission=require("../middleware/permissionMiddleware");
+const validate=require("../middleware/validate");
+const { orderIdParams }=require("../validators/orderSchemas");
+const { returnIdParams, requestReturnBody, listReturnsQuery, reviewReturnBody, receiveReturnBody, refundReturnBody }=require("../validators/returnSchemas");
+const returnService=require("../services/returnService");
+const router=express.Router();
+
+
+// Request Return (order owner)
+/**
+ * @swagger
+ * /api/returns/orders/{orderId}:
+ *   post:
+ *     tags:
+ *       - Returns
+ *     summary: Ask to return lines of a delivered order
+ *     description: Allowed up to RETURN_WINDOW_DAYS (default 30) after delivery. A line can be returned in several requests until its whole quantity is claimed; rejected requests free their quantities again.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                       description: _id of the line in order.items
+ *                     quantity:
+ *                       type: integer
+ *                     reason:
+ *                       type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Return requested, with the refund due per line
+ *       409:
+ *         description: Order not delivered or not paid (NOT_REFUNDABLE), return window closed, or the items were just claimed by another return
+ */
+router.post("/orders/:orderId", auth, validate({ params: orderIdParams, body: requestReturnBody }), async (req, res) => {
+  const request = await returnService.requestReturn(req.params.orderId, req.user.id, req.body);
+
+  res.status(201).json({
+    message: "Return requested",
+    return: request
+  });
+});
+
+// My Returns (user)
+/**
+ * @swagger
+ * /api/returns:
+ *   get:
+ *     tags:
+ *       - Returns
+ *     summary: List your return requests, newest first
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, rejected, received, refunded]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Page of return requests
+ */
+router.get("/", auth, validate({ query: listReturnsQuery }), async (req, res) => {
+  const { returns, pagination } = await returnService.listReturns({ ...req.query, userId: req.user.id });
+
+  res.json({
+    message: "Returns retrieved successfully",
+    count: returns.length,
+    returns,
+    pagination
+  });
+});
+
+// All Returns (orders:manage)
+/**
+ * @swagger
+ * /api/returns/admin:
+ *   get:
+ *     tags:
+ *       - Returns
+ *     summary: List every return request, newest first (staff)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, rejected, received, refunded]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Page of return requests
+ */
+router.get("/admin", auth, requirePermission("orders:manage"), validate({ query: listReturnsQuery }), async (req, res) => {
+  const { returns, pagination } = await returnService.listReturns(req.query);
+
+  res.json({
+    message: "Returns retrieved successfully",
+    count: returns.length,
+    returns,
+    pagination
+  });
+});
+
+// View Return (owner or orders:manage)
+/**
+ * @swagger
+ * /api/returns/{returnId}:
+ *   get:
+ *     tags:
+ *       - Returns
+ *     summary: Get a return request
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Return request
+ *       404:
+ *         description: Return request not found
+ */
+router.get("/:returnId", auth, validate({ params: returnIdParams }), async (req, res) => {
+  const request = await returnService.getReturn(req.params.returnId, { userId: req.user.id, role: req.user.role });
+
+  res.json({
+    message: "Return retrieved successfully",
+    return: request
+  });
+});
+
+// Review Return (orders:manage)
+/**
+ * @swagger
+ * /api/returns/{returnId}/review:
+ *   put:
+ *     tags:
+ *       - Returns
+ *     summary: Approve or reject a requested return
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return reviewed
+ *       409:
+ *         description: Return was already reviewed
+ */
+router.put("/:returnId/review", auth, requirePermission("orders:manage"), validate({ params: returnIdParams, body: reviewReturnBody }), async (req, res) => {
+  const request = await returnService.reviewReturn(req.params.returnId, req.user.id, req.body);
+
+  res.json({
+    message: `Return ${request.status}`,
+    return: request
+  });
+});
+
+// Receive Return (orders:manage)
+/**
+ * @swagger
+ * /api/returns/{returnId}/receive:
+ *   post:
+ *     tags:
+ *       - Returns
+ *     summary: Record that the goods of an approved return arrived
+ *     description: Puts the returned units back in stock unless restock is false. When every unit of the order has come back, the order moves to returned.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               restock:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Return received
+ *       409:
+ *         description: Return is not approved
+ */
+router.post("/:returnId/receive", auth, requirePermission("orders:manage"), validate({ params: returnIdParams, body: receiveReturnBody }), async (req, res) => {
+  const request = await returnService.receiveReturn(req.params.returnId, req.user.id, req.body);
+
+  res.json({
+    message: "Return received",
+    return: request
+  });
+});
+
+// Refund Return (orders:manage)
+/**
+ * @swagger
+ * /api/returns/{returnId}/refund:
+ *   post:
+ *     tags:
+ *       - Returns
+ *     summary: Refund a received return
+ *     description: Refunds what was paid for the returned lines (after discounts, with tax) unless amount is given. Shipping is not included by default.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refund recorded on the order
+ *       409:
+ *         description: Return not received yet, or the order payment cannot be refunded
+ */
+router.post("/:returnId/refund", auth, requirePermission("orders:manage"), validate({ params: returnIdParams, body: refundReturnBody }), async (req, res) => {
+  const { request, order, refund } = await returnService.refundReturn(req.params.returnId, req.user.id, req.body);
+
+  res.json({
+    message: "Return refunded",
+    return: request,
+    refund,
+    paymentStatus: order.paymentStatus,
+    refundedTotal: order.refundedTotal
+  });
+});
+
+module.exports = router;
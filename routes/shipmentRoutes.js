@@ -0,0 +1,272 @@
+const express=require('express');
+const auth=require("../middleware/authMiddleware");
+const requirePermission=require("../middleware/permissionMiddleware");
+const carrierFeed=require("../middleware/carrierFeedMiddleware");
+const validate=require("../middleware/validate");
+const httpError=require("../utils/httpError");
+const { parseCsv }=require("../utils/csv");
+const { orderIdParams }=require("../validators/orderSchemas");
+const { shipmentIdParams, trackingParams, trackingQuery, createShipmentBody, shipmentEventBody, feedEvent }=require("../validators/shipmentSchemas");
+const shipmentService=require("../services/shipmentService");
+const router=express.Router();
+
+const MAX_FEED_EVENTS = 5000;
+
+// Feed events from a CSV body (header row with the field names) or JSON
+// ([...] or { events: [...] })
+const feedEvents = (body) => {
+  if (typeof body === "string") return parseCsv(body);
+  if (Array.isArray(body)) return body;
+  if (body && Array.isArray(body.events)) return body.events;
+  throw httpError(400, "Send the feed as CSV or as a JSON array of events", { code: "INVALID_FEED" });
+};
+
+
+// Track Shipment (public)
+/**
+ * @swagger
+ * /api/shipments/track/{trackingNumber}:
+ *   get:
+ *     tags:
+ *       - Shipments
+ *     summary: Look up a package by tracking number (no login needed)
+ *     description: Returns the carrier's events only, nothing about the order or the customer.
+ *     parameters:
+ *       - in: path
+ *         name: trackingNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: carrier
+ *         description: Narrows the lookup when carriers reuse numbers
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Matching shipments with their events, oldest first
+ *       404:
+ *         description: Unknown tracking number
+ */
+router.get("/track/:trackingNumber", validate({ params: trackingParams, query: trackingQuery }), async (req, res) => {
+  const shipments = await shipmentService.trackShipment(req.params.trackingNumber, req.query.carrier);
+
+  res.json({
+    message: "Shipment found",
+    shipments
+  });
+});
+
+// Order Timeline (order owner or orders:manage)
+/**
+ * @swagger
+ * /api/shipments/orders/{orderId}/timeline:
+ *   get:
+ *     tags:
+ *       - Shipments
+ *     summary: Status changes and tracking events of an order, oldest first
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The order's shipments and its merged timeline
+ *       404:
+ *         description: Order not found
+ */
+router.get("/orders/:orderId/timeline", auth, validate({ params: orderIdParams }), async (req, res) => {
+  const timeline = await shipmentService.getTimeline(req.params.orderId, { userId: req.user.id, role: req.user.role });
+
+  res.json({
+    message: "Order timeline retrieved",
+    ...timeline
+  });
+});
+
+// Create Shipment (orders:manage)
+/**
+ * @swagger
+ * /api/shipments/orders/{orderId}:
+ *   post:
+ *     tags:
+ *       - Shipments
+ *     summary: Ship some or all lines of an order in a package
+ *     description: Without items, every unit not yet in a shipment goes in this package. The order moves to shipped once a package is in transit, and to delivered once every unit has been delivered.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               carrier:
+ *                 type: string
+ *               trackingNumber:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                       description: _id of the line in order.items
+ *                     quantity:
+ *                       type: integer
+ *               estimatedDelivery:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Shipment created with a label_created event
+ *       409:
+ *         description: Order cannot ship, everything already shipped, or tracking number already used for this carrier
+ */
+router.post("/orders/:orderId", auth, requirePermission("orders:manage"), validate({ params: orderIdParams, body: createShipmentBody }), async (req, res) => {
+  const shipment = await shipmentService.createShipment(req.params.orderId, req.body, req.user.id);
+
+  res.status(201).json({
+    message: "Shipment created",
+    shipment
+  });
+});
+
+// Add Tracking Event (orders:manage)
+/**
+ * @swagger
+ * /api/shipments/{shipmentId}/events:
+ *   post:
+ *     tags:
+ *       - Shipments
+ *     summary: Record a tracking event for a shipment
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [label_created, in_transit, out_for_delivery, delivered, exception]
+ *               location:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               occurredAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               estimatedDelivery:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Event recorded
+ *       409:
+ *         description: Same status at the same time already recorded
+ */
+router.post("/:shipmentId/events", auth, requirePermission("orders:manage"), validate({ params: shipmentIdParams, body: shipmentEventBody }), async (req, res) => {
+  const shipment = await shipmentService.addEvent(req.params.shipmentId, req.body, req.user.id);
+
+  res.status(201).json({
+    message: "Tracking event recorded",
+    shipment
+  });
+});
+
+// Carrier Feed (X-Carrier-Token or orders:manage)
+/**
+ * @swagger
+ * /api/shipments/feed:
+ *   post:
+ *     tags:
+ *       - Shipments
+ *     summary: Bulk-record tracking events from a carrier feed
+ *     description: "Accepts CSV (text/csv, header row carrier,trackingNumber,status,location,description,occurredAt,estimatedDelivery) or JSON (an array of events, or { events: [...] }), up to 5000 events. Events already recorded are reported as duplicate, so feeds can be resent. Each event gets a result; invalid rows do not stop the rest."
+ *     security:
+ *       - CarrierToken: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *               properties:
+ *                 carrier:
+ *                   type: string
+ *                 trackingNumber:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                 location:
+ *                   type: string
+ *                 description:
+ *                   type: string
+ *                 occurredAt:
+ *                   type: string
+ *                   format: date-time
+ *     responses:
+ *       200:
+ *         description: Result per event (applied, duplicate or error) and counts
+ */
+// carrierFeed runs first, so only carriers and staff get a CSV body buffered
+router.post("/feed", carrierFeed, express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }), async (req, res) => {
+  const rows = feedEvents(req.body);
+  if (rows.length > MAX_FEED_EVENTS) {
+    throw httpError(400, `A feed can hold at most ${MAX_FEED_EVENTS} events`, { code: "INVALID_FEED" });
+  }
+
+  const invalid = [];
+  const events = [];
+  rows.forEach((row, index) => {
+    const { error, value } = feedEvent.validate(row, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      invalid.push({ row: index + 1, trackingNumber: row && row.trackingNumber, result: "error", message: error.message.replace(/"/g, "") });
+    } else {
+      events.push({ ...value, row: index + 1 });
+    }
+  });
+
+  const results = [...invalid, ...await shipmentService.ingestEvents(events, req.user ? req.user.id : undefined)]
+    .sort((a, b) => a.row - b.row);
+  const count = (result) => results.filter(entry => entry.result === result).length;
+
+  res.json({
+    message: "Feed processed",
+    received: rows.length,
+    applied: count("applied"),
+    duplicates: count("duplicate"),
+    errors: count("error"),
+    results
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+// Bootstraps the first admin account from environment variables:
+//   ADMIN_EMAIL, ADMIN_PASSWORD and optionally ADMIN_NAME
+// Does nothing once an admin exists; later admins are added through invites.
+//
+//   npm run seed:admin
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const connectDB = require("../config/db");
+const User = require("../models/user");
+const AuditLog = require("../models/auditLog");
+
+const createAdmin = async () => {
+  const { ADMIN_NAME, ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    throw new Error("ADMIN_EMAIL and ADMIN_PASSWORD must be set");
+  }
+
+  if (await User.exists({ role: "admin" })) {
+    console.log("An admin already exists, nothing to do. Use an admin invite instead.");
+    return;
+  }
+
+  const email = ADMIN_EMAIL.trim().toLowerCase();
+  const password = await bcrypt.hash(ADMIN_PASSWORD, 10);
+  let user = await User.findOne({ email });
+
+  if (user) {
+    user.role = "admin";
+    user.password = password;
+    user.updatedAt = new Date();
+    await user.save();
+  } else {
+    user = await User.create({ name: ADMIN_NAME || "Admin", email, password, role: "admin" });
+  }
+
+  await AuditLog.create({ actor: user._id, action: "admin.bootstrap", targetUser: user._id, details: { email } });
+  console.log(`✅ Admin ready: ${email}`);
+};
+
+connectDB()
+  .then(createAdmin)
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
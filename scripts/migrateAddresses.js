@@ -0,0 +1,72 @@
+// Wraps the old free-text addresses into structured ones:
+//   - User.address (string) becomes the user's first, default address book
+//     entry (text in line1, the user's name and phone as recipient);
+//   - Order.deliveryAddress (string) becomes an address with the text in line1.
+// Other fields stay empty; users can complete them in their address book.
+// Run before deploying the structured addresses: old orders cannot be read otherwise.
+//
+//   node scripts/migrateAddresses.js [--dry-run]
+//
+// Safe to run again: only string addresses are converted.
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const connectDB = require("../config/db");
+
+const wrap = (text, { name = "", phone = "" } = {}) => ({
+  name,
+  line1: text.trim(),
+  line2: "",
+  city: "",
+  state: "",
+  postalCode: "",
+  country: "",
+  phone
+});
+
+const migrateAddresses = async () => {
+  const dryRun = process.argv.slice(2).includes("--dry-run");
+
+  const users = mongoose.connection.collection("users");
+  const orders = mongoose.connection.collection("orders");
+
+  let usersMigrated = 0;
+  for await (const user of users.find({ address: { $type: "string" } })) {
+    usersMigrated += 1;
+    if (dryRun) continue;
+
+    const update = { $unset: { address: "" } };
+    if (user.address.trim()) {
+      const entryId = new mongoose.Types.ObjectId();
+      const now = new Date();
+      update.$push = {
+        addresses: { _id: entryId, label: "Home", ...wrap(user.address, user), createdAt: now, updatedAt: now }
+      };
+      if (!user.defaultAddressId) {
+        update.$set = { defaultAddressId: entryId };
+      }
+    }
+    await users.updateOne({ _id: user._id }, update);
+  }
+
+  let ordersMigrated = 0;
+  for await (const order of orders.find({ deliveryAddress: { $type: "string" } })) {
+    ordersMigrated += 1;
+    if (dryRun) continue;
+
+    await orders.updateOne({ _id: order._id }, { $set: { deliveryAddress: wrap(order.deliveryAddress) } });
+  }
+
+  console.log(`${usersMigrated} user(s) and ${ordersMigrated} order(s) with a text address`);
+  console.log(dryRun ? "Dry run, nothing was changed." : "✅ Addresses migrated");
+};
+
+connectDB()
+  .then(migrateAddresses)
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,62 @@
+// Converts the old free-text Product.category strings into Category documents
+// and points every product at its category by id.
+//
+//   node scripts/migrateCategories.js [aliases.json] [--dry-run]
+//
+// Strings are grouped by slug, so "Electronics", "electronics " and
+// "ELECTRONICS" become one category. Spelling variants that slugs can't
+// catch go in the optional aliases file: { "Electronic": "Electronics" }.
+// Safe to run again: products that already reference a category are skipped.
+const fs = require("fs");
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const connectDB = require("../config/db");
+const Category = require("../models/category");
+const slugify = require("../utils/slugify");
+
+const migrateCategories = async () => {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes("--dry-run");
+  const aliasFile = args.find(arg => !arg.startsWith("--"));
+  const aliases = aliasFile ? JSON.parse(fs.readFileSync(aliasFile, "utf8")) : {};
+
+  // Raw collection: the schema now expects ObjectIds in this field
+  const products = mongoose.connection.collection("products");
+  const names = await products.distinct("category", { category: { $type: "string" } });
+
+  for (const raw of names) {
+    const canonical = (aliases[raw] || aliases[raw.trim()] || raw).trim();
+    const slug = slugify(canonical);
+
+    if (!slug) {
+      console.log(`"${raw}" -> (no category)`);
+      if (!dryRun) await products.updateMany({ category: raw }, { $unset: { category: "" } });
+      continue;
+    }
+
+    let category = await Category.findOne({ slug });
+    if (!category && !dryRun) {
+      category = await Category.create({ name: canonical, slug });
+    }
+
+    const count = await products.countDocuments({ category: raw });
+    console.log(`"${raw}" -> ${slug} (${count} product(s))`);
+
+    if (!dryRun) {
+      await products.updateMany({ category: raw }, { $set: { category: category._id } });
+    }
+  }
+
+  console.log(dryRun ? "Dry run, nothing was changed." : "✅ Categories migrated");
+};
+
+connectDB()
+  .then(migrateCategories)
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,50 @@
+// Lowercases the emails of accounts created before emails were normalized,
+// so they can log in again with the (lowercased) address they typed.
+//
+//   node scripts/migrateEmails.js [--dry-run]
+//
+// Accounts whose lowercased email already belongs to another account are
+// left unchanged and listed, to be merged or renamed by hand.
+// Safe to run again: only emails that are not lowercase yet are touched.
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const connectDB = require("../config/db");
+
+const migrateEmails = async () => {
+  const dryRun = process.argv.slice(2).includes("--dry-run");
+
+  const users = mongoose.connection.collection("users");
+  const mixedCase = users.find({ email: /[A-Z]|^\s|\s$/ }, { projection: { email: 1 } });
+  let updated = 0;
+  const conflicts = [];
+
+  for await (const user of mixedCase) {
+    const email = user.email.trim().toLowerCase();
+    if (await users.findOne({ _id: { $ne: user._id }, email })) {
+      conflicts.push(user.email);
+      continue;
+    }
+
+    updated += 1;
+    if (dryRun) continue;
+    await users.updateOne({ _id: user._id }, { $set: { email, updatedAt: new Date() } });
+  }
+
+  console.log(`${updated} email(s) ${dryRun ? "to lowercase" : "lowercased"}`);
+  if (conflicts.length) {
+    console.log(`${conflicts.length} account(s) clash with an existing lowercase email and were skipped:`);
+    conflicts.forEach(email => console.log(`  ${email}`));
+  }
+  console.log(dryRun ? "Dry run, nothing was changed." : "✅ Emails migrated");
+};
+
+connectDB()
+  .then(migrateEmails)
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,37 @@
+// Marks products created before the draft/active/archived lifecycle as
+// active, so the storefront keeps showing them. New products start as drafts.
+//
+//   node scripts/migrateProductStatus.js [--dry-run]
+//
+// Safe to run again: products that already have a status are skipped.
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const connectDB = require("../config/db");
+
+const migrateProductStatus = async () => {
+  const dryRun = process.argv.slice(2).includes("--dry-run");
+
+  // Raw collection: the schema would fill in the "draft" default
+  const products = mongoose.connection.collection("products");
+  const filter = { status: { $exists: false } };
+
+  const count = await products.countDocuments(filter);
+  console.log(`${count} product(s) without a status`);
+
+  if (!dryRun) {
+    await products.updateMany(filter, { $set: { status: "active", publishAt: null, deletedAt: null } });
+  }
+
+  console.log(dryRun ? "Dry run, nothing was changed." : "✅ Product statuses migrated");
+};
+
+connectDB()
+  .then(migrateProductStatus)
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,94 @@
+// Moves the reviews embedded in Product.reviews into the Review collection,
+// then recomputes every product's averageRating/totalReviews.
+//
+//   node scripts/migrateReviews.js [--dry-run]
+//
+// Reviews keep their ids. Reviews written before moderation existed (no
+// status) were already public and are approved. Only one review per user and
+// product is allowed, so of several by the same user the newest is kept.
+// Safe to run again: a product's embedded reviews are removed once moved.
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const connectDB = require("../config/db");
+const Product = require("../models/product");
+const Review = require("../models/review");
+const { refreshRating } = require("../services/reviewService");
+
+const newestPerUser = (reviews) => {
+  const byUser = new Map();
+  for (const review of reviews) {
+    if (!review.userId) continue;
+    const key = review.userId.toString();
+    const kept = byUser.get(key);
+    if (!kept || (review.createdAt || 0) > (kept.createdAt || 0)) byUser.set(key, review);
+  }
+  return [...byUser.values()];
+};
+
+const migrateReviews = async () => {
+  const dryRun = process.argv.slice(2).includes("--dry-run");
+
+  // Raw collection: `reviews` is no longer part of the Product schema
+  const products = mongoose.connection.collection("products");
+  const cursor = products.find({ "reviews.0": { $exists: true } }, { projection: { name: 1, reviews: 1 } });
+
+  if (!dryRun) await Review.init();
+
+  let moved = 0;
+  let dropped = 0;
+  for await (const product of cursor) {
+    const reviews = newestPerUser(product.reviews);
+    dropped += product.reviews.length - reviews.length;
+    console.log(`${product.name}: ${reviews.length} review(s), ${product.reviews.length - reviews.length} duplicate(s) dropped`);
+
+    if (dryRun) continue;
+
+    for (const review of reviews) {
+      // Upsert by product and user so a rerun after a partial failure is harmless
+      await Review.updateOne(
+        { productId: product._id, userId: review.userId },
+        {
+          $setOnInsert: {
+            _id: review._id,
+            userName: review.userName,
+            rating: review.rating,
+            comment: review.comment,
+            status: review.status || "approved",
+            verifiedPurchase: !!review.verifiedPurchase,
+            moderatedBy: review.moderatedBy,
+            moderatedAt: review.moderatedAt,
+            moderationNote: review.moderationNote,
+            createdAt: review.createdAt || new Date(),
+            updatedAt: review.updatedAt || review.createdAt || new Date()
+          }
+        },
+        { upsert: true }
+      );
+    }
+
+    await products.updateOne({ _id: product._id }, { $unset: { reviews: "" } });
+    moved += reviews.length;
+  }
+
+  if (dryRun) {
+    console.log("Dry run, nothing was changed.");
+    return;
+  }
+
+  for await (const product of Product.find().select("_id").lean().cursor()) {
+    await refreshRating(product._id);
+  }
+
+  console.log(`✅ ${moved} review(s) moved, ${dropped} duplicate(s) dropped`);
+};
+
+connectDB()
+  .then(migrateReviews)
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
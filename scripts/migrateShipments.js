@@ -0,0 +1,75 @@
+// Turns the single deliveryTracking object of orders tracked before shipments
+// existed into one shipment (carrier "manual", random MAN- tracking number)
+// holding every line, with the last known status as its only event.
+//
+//   node scripts/migrateShipments.js [--dry-run]
+//
+// Safe to run again: orders that already have a shipment are skipped.
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const connectDB = require("../config/db");
+
+const migrateShipments = async () => {
+  const dryRun = process.argv.slice(2).includes("--dry-run");
+
+  const orders = mongoose.connection.collection("orders");
+  const shipments = mongoose.connection.collection("shipments");
+
+  const tracked = orders.find({ "deliveryTracking.status": { $nin: [null, "not_shipped"] } });
+  let created = 0;
+  let skipped = 0;
+
+  for await (const order of tracked) {
+    if (await shipments.findOne({ orderId: order._id })) {
+      skipped += 1;
+      continue;
+    }
+
+    const { status, location, estimatedDelivery, updatedAt } = order.deliveryTracking;
+    const occurredAt = updatedAt || order.updatedAt || new Date();
+    created += 1;
+    if (dryRun) continue;
+
+    await shipments.insertOne({
+      orderId: order._id,
+      carrier: "manual",
+      trackingNumber: `MAN-${crypto.randomBytes(6).toString("hex").toUpperCase()}`,
+      items: order.items.map(item => ({
+        _id: new mongoose.Types.ObjectId(),
+        itemId: item._id,
+        productId: item.productId,
+        productName: item.productName,
+        quantity: item.quantity
+      })),
+      status,
+      estimatedDelivery,
+      deliveredAt: status === "delivered" ? occurredAt : undefined,
+      events: [{
+        _id: new mongoose.Types.ObjectId(),
+        status,
+        location: location || "",
+        description: "Migrated from deliveryTracking",
+        occurredAt,
+        recordedAt: new Date(),
+        source: "manual"
+      }],
+      createdAt: occurredAt,
+      updatedAt: new Date()
+    });
+  }
+
+  console.log(`${created} shipment(s) ${dryRun ? "to create" : "created"}, ${skipped} order(s) already had one`);
+  console.log(dryRun ? "Dry run, nothing was changed." : "✅ Shipments migrated");
+};
+
+connectDB()
+  .then(migrateShipments)
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,125 @@
+const User = require("../models/user");
+const httpError = require("../utils/httpError");
+const { isValidPostalCode } = require("../utils/postalCode");
+
+const MAX_ADDRESSES = 20;
+
+const ADDRESS_FIELDS = ["name", "line1", "line2", "city", "state", "postalCode", "country", "phone"];
+
+const loadUser = async (userId) => {
+  const user = await User.findById(userId).select("name phone addresses defaultAddressId");
+  if (!user) {
+    throw httpError(404, "User not found");
+  }
+  return user;
+};
+
+const findAddress = (user, addressId) => {
+  const entry = user.addresses.id(addressId);
+  if (!entry) {
+    throw httpError(404, "Address not found");
+  }
+  return entry;
+};
+
+// The address fields of an address book entry or request body, as stored on orders
+const snapshotOf = (address) => Object.fromEntries(ADDRESS_FIELDS.map(field => [field, address[field] || ""]));
+
+// Region code for shipping and tax rules: the country, with the state when it
+// is given as a subdivision code ("IN" + "KA" -> "IN-KA")
+const regionOf = (address) => {
+  if (!address || !address.country) return null;
+  const state = String(address.state || "").trim().toUpperCase();
+  return /^[A-Z0-9]{1,3}$/.test(state) ? `${address.country}-${state}` : address.country;
+};
+
+const serializeAddresses = (user) => user.addresses.map(entry => ({
+  addressId: entry._id,
+  label: entry.label,
+  ...snapshotOf(entry),
+  isDefault: !!user.defaultAddressId && user.defaultAddressId.equals(entry._id),
+  createdAt: entry.createdAt,
+  updatedAt: entry.updatedAt
+}));
+
+const listAddresses = async (userId) => serializeAddresses(await loadUser(userId));
+
+// The first address saved becomes the default
+const addAddress = async (userId, { isDefault, ...data }) => {
+  const user = await loadUser(userId);
+  if (user.addresses.length >= MAX_ADDRESSES) {
+    throw httpError(400, `An address book holds at most ${MAX_ADDRESSES} addresses`);
+  }
+
+  user.addresses.push(data);
+  const entry = user.addresses[user.addresses.length - 1];
+  if (isDefault || !user.defaultAddressId) {
+    user.defaultAddressId = entry._id;
+  }
+  user.updatedAt = new Date();
+  await user.save();
+
+  return serializeAddresses(user);
+};
+
+const updateAddress = async (userId, addressId, { isDefault, ...changes }) => {
+  const user = await loadUser(userId);
+  const entry = findAddress(user, addressId);
+
+  Object.assign(entry, changes, { updatedAt: new Date() });
+  if (entry.country && entry.postalCode && !isValidPostalCode(entry.country, entry.postalCode)) {
+    throw httpError(400, `postalCode is not a valid ${entry.country} postal code`);
+  }
+  if (isDefault) {
+    user.defaultAddressId = entry._id;
+  } else if (isDefault === false && user.defaultAddressId && user.defaultAddressId.equals(entry._id)) {
+    throw httpError(400, "Make another address the default instead");
+  }
+  user.updatedAt = new Date();
+  await user.save();
+
+  return serializeAddresses(user);
+};
+
+// Removing the default address makes the oldest remaining one the default.
+// Orders keep their own copy, so they are not affected.
+const deleteAddress = async (userId, addressId) => {
+  const user = await loadUser(userId);
+  const entry = findAddress(user, addressId);
+
+  entry.deleteOne();
+  if (user.defaultAddressId && user.defaultAddressId.equals(entry._id)) {
+    user.defaultAddressId = user.addresses.length ? user.addresses[0]._id : null;
+  }
+  user.updatedAt = new Date();
+  await user.save();
+
+  return serializeAddresses(user);
+};
+
+const setDefaultAddress = async (userId, addressId) => updateAddress(userId, addressId, { isDefault: true });
+
+// The delivery address for an order: an address book entry, a full address
+// given at checkout, or else the default address. Returns null if there is none.
+const resolveDeliveryAddress = async (userId, { addressId, deliveryAddress } = {}) => {
+  if (deliveryAddress) {
+    return snapshotOf(deliveryAddress);
+  }
+
+  const user = await loadUser(userId);
+  if (addressId) {
+    return snapshotOf(findAddress(user, addressId));
+  }
+  const fallback = user.defaultAddressId && user.addresses.id(user.defaultAddressId);
+  return fallback ? snapshotOf(fallback) : null;
+};
+
+module.exports = {
+  regionOf,
+  listAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+  setDefaultAddress,
+  resolveDeliveryAddress
+};
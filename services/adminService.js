@@ -0,0 +1,117 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const User = require("../models/user");
+const AdminInvite = require("../models/adminInvite");
+const AuditLog = require("../models/auditLog");
+const httpError = require("../utils/httpError");
+const { STAFF_ROLES } = require("../config/permissions");
+const { hashToken, revokeAllForUser } = require("./tokenService");
+
+// How long an invite stays valid; looked up per invite so .env can set it
+const inviteTtlHours = () => Number(process.env.ADMIN_INVITE_TTL_HOURS) || 48;
+
+const audit = (actor, action, targetUser, details = {}) =>
+  AuditLog.create({ actor, action, targetUser, details });
+
+// Issues a single-use staff invite for an email address. The raw token is
+// only returned here.
+const createInvite = async (actorId, rawEmail, role = "admin") => {
+  const email = String(rawEmail).trim().toLowerCase();
+
+  if (!STAFF_ROLES.includes(role)) {
+    throw httpError(400, `Role must be one of: ${STAFF_ROLES.join(", ")}`);
+  }
+
+  if (await User.exists({ email })) {
+    throw httpError(400, "A user with this email already exists, change their role instead");
+  }
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const invite = await AdminInvite.create({
+    email,
+    role,
+    tokenHash: hashToken(token),
+    invitedBy: actorId,
+    expiresAt: new Date(Date.now() + inviteTtlHours() * 60 * 60 * 1000)
+  });
+
+  await audit(actorId, "admin.invite_created", null, { email, role, inviteId: invite._id });
+
+  return { token, email, role, expiresAt: invite.expiresAt };
+};
+
+// Creates the invited staff account. The invite is claimed atomically so it
+// can only ever be used once.
+const acceptInvite = async ({ token, name, email, password, phone }) => {
+  const tokenHash = hashToken(token);
+  const invite = await AdminInvite.findOne({ tokenHash });
+
+  if (!invite || invite.usedAt || invite.expiresAt < new Date()) {
+    throw httpError(400, "Invite is invalid, expired or already used");
+  }
+
+  if (invite.email !== String(email).trim().toLowerCase()) {
+    throw httpError(400, "Invite was issued for a different email");
+  }
+
+  if (await User.exists({ email: invite.email })) {
+    throw httpError(400, "User with this email already exists");
+  }
+
+  const claimed = await AdminInvite.findOneAndUpdate(
+    { _id: invite._id, usedAt: null },
+    { usedAt: new Date() }
+  );
+  if (!claimed) {
+    throw httpError(400, "Invite is invalid, expired or already used");
+  }
+
+  const user = await User.create({
+    name,
+    email: invite.email,
+    password: await bcrypt.hash(password, 10),
+    role: invite.role,
+    phone: phone || ""
+  });
+
+  await AdminInvite.updateOne({ _id: invite._id }, { usedBy: user._id });
+  await audit(user._id, "admin.invite_accepted", user._id, { inviteId: invite._id, invitedBy: invite.invitedBy });
+
+  return user;
+};
+
+// Promotes or demotes a user. Their existing sessions are revoked so the new
+// role takes effect immediately.
+const changeRole = async (actorId, userId, role) => {
+  if (!User.schema.path("role").enumValues.includes(role)) {
+    throw httpError(400, "Invalid role");
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw httpError(404, "User not found");
+  }
+
+  const previousRole = user.role;
+  if (previousRole === role) {
+    return user;
+  }
+
+  if (previousRole === "admin" && await User.countDocuments({ role: "admin" }) <= 1) {
+    throw httpError(409, "Cannot demote the last admin");
+  }
+
+  user.role = role;
+  user.updatedAt = new Date();
+  await user.save();
+  await revokeAllForUser(user._id);
+  await audit(actorId, "user.role_changed", user._id, { from: previousRole, to: role });
+
+  return user;
+};
+
+module.exports = {
+  createInvite,
+  acceptInvite,
+  changeRole
+};
@@ -0,0 +1,302 @@
+const crypto = require("crypto");
+const Product = require("../models/product");
+const User = require("../models/user");
+const GuestCart = require("../models/guestCart");
+const httpError = require("../utils/httpError");
+const { roundMoney } = require("../utils/money");
+const { lineKey } = require("./inventoryService");
+const { isOnStorefront } = require("./productStatusService");
+const { unitWeight } = require("./pricingService");
+
+const CART_PRODUCT_FIELDS = "name price category stock weight description variants status publishAt deletedAt";
+
+// GUEST_CART_TTL_DAYS (default 30) is read on every touch of a guest cart
+const guestCartExpiry = () =>
+  new Date(Date.now() + (Number(process.env.GUEST_CART_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000);
+
+// A cart owner is either { userId } (logged in) or { guestToken } (anonymous).
+// Both User and GuestCart keep their lines in a `cart` array.
+const ownerQuery = (owner) => owner.userId
+  ? User.findById(owner.userId)
+  : GuestCart.findOne({ token: owner.guestToken });
+
+const ownerUpdate = (owner, update) => owner.userId
+  ? User.findByIdAndUpdate(owner.userId, update)
+  : GuestCart.findOneAndUpdate({ token: owner.guestToken }, { ...update, expiresAt: guestCartExpiry() });
+
+const ownerNotFound = (owner) => httpError(404, owner.userId ? "User not found" : "Cart not found or expired");
+
+const parseQuantity = (value, { allowZero = false } = {}) => {
+  const quantity = Number(value);
+  if (!Number.isInteger(quantity) || quantity < (allowZero ? 0 : 1)) {
+    throw httpError(400, allowZero
+      ? "Quantity must be a whole number of 0 or more"
+      : "Quantity must be a whole number of 1 or more");
+  }
+  return quantity;
+};
+
+const loadOwner = async (owner) => {
+  const doc = await ownerQuery(owner);
+  if (!doc) {
+    throw ownerNotFound(owner);
+  }
+  return doc;
+};
+
+const saveOwner = (owner, doc) => {
+  if (owner.guestToken) {
+    doc.expiresAt = guestCartExpiry();
+  }
+  return doc.save();
+};
+
+// Only products on the storefront can be added or have their quantity raised
+const loadProduct = async (productId) => {
+  const product = await Product.findById(productId);
+  if (!product || !isOnStorefront(product)) {
+    throw httpError(404, "Product not found");
+  }
+  return product;
+};
+
+// The variant a cart line refers to. Products with variants must be added
+// with a variantId; products without must not have one.
+const resolveVariant = (product, variantId) => {
+  if (!product.variants.length) {
+    if (variantId) {
+      throw httpError(400, `${product.name} has no variants`);
+    }
+    return null;
+  }
+
+  if (!variantId) {
+    throw httpError(400, `Choose a variant of ${product.name}`);
+  }
+
+  const variant = product.variants.id(variantId);
+  if (!variant) {
+    throw httpError(404, "Variant not found");
+  }
+  return variant;
+};
+
+const ensureStock = (product, variant, quantity) => {
+  const stock = variant ? variant.stock : product.stock;
+  const label = variant ? `${product.name} (${variant.sku})` : product.name;
+
+  if (quantity > stock) {
+    throw httpError(400, stock > 0
+      ? `Only ${stock} unit(s) of ${label} available`
+      : `${label} is out of stock`);
+  }
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Collapse duplicate lines for the same product and variant (older carts were built with $push)
+const mergeLines = (cart) => {
+  const merged = [];
+  const byLine = new Map();
+
+  for (const line of cart) {
+    if (!line.productId) continue;
+    const key = lineKey(idOf(line.productId), line.variantId);
+    const existing = byLine.get(key);
+    if (existing) {
+      existing.quantity += line.quantity;
+      if (line.addedAt < existing.addedAt) existing.addedAt = line.addedAt;
+    } else {
+      const entry = {
+        productId: line.productId,
+        variantId: line.variantId,
+        quantity: line.quantity,
+        addedAt: line.addedAt
+      };
+      byLine.set(key, entry);
+      merged.push(entry);
+    }
+  }
+
+  return merged;
+};
+
+const findLine = (doc, productId, variantId) => {
+  const key = lineKey(productId, variantId);
+  return doc.cart.find(line => line.productId && lineKey(line.productId, line.variantId) === key);
+};
+
+// Turns a cart populated with "cart.productId" into priced lines and totals
+const summarizeCart = (cart) => {
+  let itemCount = 0;
+  let totalAmount = 0;
+
+  const items = cart.map(line => {
+    const product = line.productId;
+
+    if (!product || !product._id) {
+      return {
+        productId: product || null,
+        quantity: line.quantity,
+        subtotal: 0,
+        status: "unavailable",
+        addedAt: line.addedAt
+      };
+    }
+
+    const hasVariants = !!(product.variants && product.variants.length);
+    const variant = line.variantId && hasVariants ? product.variants.id(line.variantId) : null;
+    // Product taken off the storefront, variant deleted, or variants were
+    // added to the product after the line was saved
+    if (!isOnStorefront(product) || (line.variantId ? !variant : hasVariants)) {
+      return {
+        productId: product._id,
+        name: product.name,
+        variantId: line.variantId,
+        quantity: line.quantity,
+        subtotal: 0,
+        status: "unavailable",
+        addedAt: line.addedAt
+      };
+    }
+
+    const price = variant ? variant.price : product.price;
+    const stock = variant ? variant.stock : product.stock;
+
+    let status = "ok";
+    if (stock <= 0) status = "out_of_stock";
+    else if (line.quantity > stock) status = "insufficient_stock";
+
+    const subtotal = roundMoney(price * line.quantity);
+    if (status === "ok") {
+      itemCount += line.quantity;
+      totalAmount += subtotal;
+    }
+
+    return {
+      productId: product._id,
+      name: product.name,
+      variantId: variant ? variant._id : undefined,
+      sku: variant ? variant.sku : undefined,
+      attributes: variant ? Object.fromEntries(variant.attributes) : undefined,
+      price,
+      category: product.category,
+      weight: unitWeight(product, variant),
+      availableStock: stock,
+      quantity: line.quantity,
+      subtotal,
+      status,
+      addedAt: line.addedAt
+    };
+  });
+
+  return {
+    items,
+    itemCount,
+    totalAmount: roundMoney(totalAmount),
+    hasIssues: items.some(item => item.status !== "ok")
+  };
+};
+
+const getCart = async (owner) => {
+  const doc = await ownerQuery(owner).select("cart").populate("cart.productId", CART_PRODUCT_FIELDS);
+  if (!doc) {
+    throw ownerNotFound(owner);
+  }
+  return summarizeCart(doc.cart);
+};
+
+const addItem = async (owner, productId, rawQuantity, variantId) => {
+  const quantity = parseQuantity(rawQuantity);
+  const [doc, product] = await Promise.all([loadOwner(owner), loadProduct(productId)]);
+  const variant = resolveVariant(product, variantId);
+
+  doc.cart = mergeLines(doc.cart);
+  const line = findLine(doc, product._id, variantId);
+  const newQuantity = (line ? line.quantity : 0) + quantity;
+  ensureStock(product, variant, newQuantity);
+
+  if (line) {
+    line.quantity = newQuantity;
+  } else {
+    doc.cart.push({ productId: product._id, variantId: variant ? variant._id : undefined, quantity });
+  }
+
+  await saveOwner(owner, doc);
+  return getCart(owner);
+};
+
+const setQuantity = async (owner, productId, rawQuantity, variantId) => {
+  const quantity = parseQuantity(rawQuantity, { allowZero: true });
+  const doc = await loadOwner(owner);
+
+  doc.cart = mergeLines(doc.cart);
+  const line = findLine(doc, productId, variantId);
+  if (!line) {
+    throw httpError(404, "Product is not in the cart");
+  }
+
+  if (quantity === 0) {
+    doc.cart.pull(line._id);
+  } else {
+    const product = await loadProduct(productId);
+    ensureStock(product, resolveVariant(product, variantId), quantity);
+    line.quantity = quantity;
+  }
+
+  await saveOwner(owner, doc);
+  return getCart(owner);
+};
+
+// Without a variantId every variant of the product is removed
+const removeItem = async (owner, productId, variantId) => {
+  const condition = variantId ? { productId, variantId } : { productId };
+  const doc = await ownerUpdate(owner, { $pull: { cart: condition } });
+  if (!doc) {
+    throw ownerNotFound(owner);
+  }
+  return getCart(owner);
+};
+
+const clearCart = async (owner) => {
+  const doc = await ownerUpdate(owner, { cart: [] });
+  if (!doc) {
+    throw ownerNotFound(owner);
+  }
+  return getCart(owner);
+};
+
+// Starts an empty guest cart and returns its token
+const createGuestCart = async () => {
+  const token = crypto.randomBytes(24).toString("hex");
+  await GuestCart.create({ token, cart: [], expiresAt: guestCartExpiry() });
+  return token;
+};
+
+// Moves a guest cart's lines into the user's cart (quantities of the same
+// product are added up) and deletes the guest cart. Lines that now exceed the
+// stock stay in the cart and are flagged by summarizeCart.
+const mergeGuestCart = async (guestToken, userId) => {
+  const guestCart = await GuestCart.findOneAndDelete({ token: guestToken });
+  if (!guestCart || guestCart.cart.length === 0) {
+    return false;
+  }
+
+  const user = await loadOwner({ userId });
+  user.cart = mergeLines([...user.cart, ...guestCart.cart]);
+  await user.save();
+  return true;
+};
+
+module.exports = {
+  CART_PRODUCT_FIELDS,
+  resolveVariant,
+  summarizeCart,
+  getCart,
+  addItem,
+  setQuantity,
+  removeItem,
+  clearCart,
+  createGuestCart,
+  mergeGuestCart
+};
@@ -0,0 +1,194 @@
+const mongoose = require("mongoose");
+const Category = require("../models/category");
+const Product = require("../models/product");
+const httpError = require("../utils/httpError");
+const slugify = require("../utils/slugify");
+const { storefrontFilter } = require("./productStatusService");
+
+const bySiblingOrder = (a, b) => a.position - b.position || a.name.localeCompare(b.name);
+
+// Finds a category by id or slug
+const findCategory = async (idOrSlug) => {
+  const category = mongoose.isValidObjectId(idOrSlug)
+    ? await Category.findById(idOrSlug)
+    : await Category.findOne({ slug: String(idOrSlug).toLowerCase() });
+
+  if (!category) {
+    throw httpError(404, "Category not found");
+  }
+  return category;
+};
+
+// Ids of every category below `rootId` (not including it)
+const descendantIds = (categories, rootId) => {
+  const ids = [];
+  const queue = [rootId.toString()];
+
+  while (queue.length) {
+    const parentId = queue.shift();
+    for (const category of categories) {
+      if (category.parent && category.parent.toString() === parentId) {
+        ids.push(category._id);
+        queue.push(category._id.toString());
+      }
+    }
+  }
+
+  return ids;
+};
+
+// The category and all of its subcategories, for filtering products
+const resolveCategoryIds = async (idOrSlug) => {
+  const category = await findCategory(idOrSlug);
+  const categories = await Category.find().select("_id parent").lean();
+  return [category._id, ...descendantIds(categories, category._id)];
+};
+
+// The given categories and all of their subcategories
+const expandCategoryIds = async (ids) => {
+  if (!ids.length) return [];
+  const categories = await Category.find().select("_id parent").lean();
+  return ids.flatMap(id => [id, ...descendantIds(categories, id)]);
+};
+
+// Each category's id followed by its ancestors' ids, nearest first
+const lineageOf = async (ids) => {
+  const categories = await Category.find().select("_id parent").lean();
+  const parentOf = new Map(categories.map(c => [String(c._id), c.parent ? String(c.parent) : null]));
+
+  return new Map(ids.map(id => {
+    const chain = [];
+    for (let current = String(id); current && !chain.includes(current); current = parentOf.get(current)) {
+      chain.push(current);
+    }
+    return [String(id), chain];
+  }));
+};
+
+// Whole taxonomy as nested nodes. productCount counts storefront products
+// filed directly under a category, totalProductCount includes its subcategories.
+const getTree = async () => {
+  const [categories, counts] = await Promise.all([
+    Category.find().lean(),
+    Product.aggregate([
+      { $match: storefrontFilter() },
+      { $group: { _id: "$category", count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const countById = new Map(counts.map(c => [String(c._id), c.count]));
+  const nodes = new Map(categories.map(c => [String(c._id), {
+    id: c._id,
+    name: c.name,
+    slug: c.slug,
+    description: c.description,
+    position: c.position,
+    productCount: countById.get(String(c._id)) || 0,
+    totalProductCount: 0,
+    children: []
+  }]));
+
+  const roots = [];
+  for (const category of categories) {
+    const node = nodes.get(String(category._id));
+    const parent = category.parent && nodes.get(String(category.parent));
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const finish = (node) => {
+    node.children.sort(bySiblingOrder);
+    node.totalProductCount = node.productCount +
+      node.children.reduce((sum, child) => sum + finish(child), 0);
+    return node.totalProductCount;
+  };
+  roots.sort(bySiblingOrder).forEach(finish);
+
+  return roots;
+};
+
+const ensureSlugFree = async (slug, exceptId) => {
+  const existing = await Category.findOne({ slug }).select("_id");
+  if (existing && (!exceptId || existing._id.toString() !== exceptId.toString())) {
+    throw httpError(409, `Category slug "${slug}" is already used`);
+  }
+};
+
+const ensureParent = async (parentId, categoryId) => {
+  if (!parentId) return null;
+
+  const parent = await Category.findById(parentId).select("_id");
+  if (!parent) {
+    throw httpError(400, "Parent category not found");
+  }
+
+  if (categoryId) {
+    const categories = await Category.find().select("_id parent").lean();
+    const invalid = [categoryId.toString(), ...descendantIds(categories, categoryId).map(String)];
+    if (invalid.includes(parent._id.toString())) {
+      throw httpError(409, "A category cannot be moved under itself or one of its subcategories");
+    }
+  }
+
+  return parent._id;
+};
+
+const createCategory = async ({ name, slug, description, parent, position }) => {
+  const finalSlug = slugify(slug || name);
+  await ensureSlugFree(finalSlug);
+
+  return Category.create({
+    name,
+    slug: finalSlug,
+    description,
+    parent: await ensureParent(parent),
+    position
+  });
+};
+
+const updateCategory = async (id, changes) => {
+  const category = await Category.findById(id);
+  if (!category) {
+    throw httpError(404, "Category not found");
+  }
+
+  if (changes.slug !== undefined) {
+    changes.slug = slugify(changes.slug);
+    await ensureSlugFree(changes.slug, category._id);
+  }
+  if (changes.parent !== undefined) {
+    changes.parent = await ensureParent(changes.parent, category._id);
+  }
+
+  Object.assign(category, changes, { updatedAt: new Date() });
+  return category.save();
+};
+
+// Only empty leaf categories can be deleted, so no product (deleted ones
+// included) loses its category
+const deleteCategory = async (id) => {
+  const category = await Category.findById(id);
+  if (!category) {
+    throw httpError(404, "Category not found");
+  }
+
+  if (await Category.exists({ parent: category._id })) {
+    throw httpError(409, "Category has subcategories");
+  }
+  if (await Product.exists({ category: category._id })) {
+    throw httpError(409, "Category still has products");
+  }
+
+  await category.deleteOne();
+  return category;
+};
+
+module.exports = {
+  findCategory,
+  resolveCategoryIds,
+  expandCategoryIds,
+  lineageOf,
+  getTree,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
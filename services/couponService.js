@@ -0,0 +1,206 @@
+const Coupon = require("../models/coupon");
+const CouponRedemption = require("../models/couponRedemption");
+const Category = require("../models/category");
+const Product = require("../models/product");
+const httpError = require("../utils/httpError");
+const { roundMoney, allocate } = require("../utils/money");
+const { expandCategoryIds } = require("./categoryService");
+
+const invalidCoupon = (message) => httpError(400, message, { code: "INVALID_COUPON" });
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Checks everything that does not depend on the items being bought
+const checkUsable = async (coupon, userId, now = new Date()) => {
+  if (!coupon || !coupon.active) {
+    throw invalidCoupon("Coupon code is not valid");
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw invalidCoupon("Coupon is not active yet");
+  }
+  if (coupon.endsAt && coupon.endsAt <= now) {
+    throw invalidCoupon("Coupon has expired");
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw invalidCoupon("Coupon usage limit reached");
+  }
+  if (coupon.perUserLimit && userId) {
+    const used = await CouponRedemption.countDocuments({ couponId: coupon._id, userId });
+    if (used >= coupon.perUserLimit) {
+      throw invalidCoupon("You have already used this coupon as often as allowed");
+    }
+  }
+};
+
+// Works out a coupon's discount on priced lines ({ productId, category, subtotal }).
+// lineDiscounts holds each line's share, in the order of `lines`.
+const calculateDiscount = async (coupon, lines) => {
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.subtotal, 0));
+  if (subtotal < coupon.minOrderValue) {
+    throw invalidCoupon(`Coupon needs an order of at least ${coupon.minOrderValue}`);
+  }
+
+  const scoped = coupon.products.length > 0 || coupon.categories.length > 0;
+  const productIds = coupon.products.map(String);
+  const categoryIds = (await expandCategoryIds(coupon.categories)).map(String);
+  const eligible = lines.map(line => !scoped ||
+    productIds.includes(String(idOf(line.productId))) ||
+    (!!line.category && categoryIds.includes(String(idOf(line.category)))));
+
+  const eligibleSubtotal = roundMoney(lines.reduce((sum, line, index) => sum + (eligible[index] ? line.subtotal : 0), 0));
+  if (eligibleSubtotal === 0) {
+    throw invalidCoupon("Coupon does not apply to any item");
+  }
+
+  let discount = coupon.type === "percentage" ? (eligibleSubtotal * coupon.value) / 100 : coupon.value;
+  if (coupon.type === "percentage" && coupon.maxDiscount !== undefined && coupon.maxDiscount !== null) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  discount = roundMoney(Math.min(discount, eligibleSubtotal));
+
+  return {
+    subtotal,
+    eligibleSubtotal,
+    discount,
+    lineDiscounts: allocate(discount, lines.map((line, index) => (eligible[index] ? line.subtotal : 0)))
+  };
+};
+
+// What an order stores about the coupon it used
+const couponSummary = (coupon) => ({
+  couponId: coupon._id,
+  code: coupon.code,
+  type: coupon.type,
+  value: coupon.value
+});
+
+// Prices a coupon against lines without using it up (cart check, checkout preview).
+// Guests (no userId) are not checked against the per-user limit.
+const quoteCoupon = async (code, userId, lines) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+  await checkUsable(coupon, userId);
+
+  return {
+    coupon: { ...couponSummary(coupon), description: coupon.description },
+    ...(await calculateDiscount(coupon, lines))
+  };
+};
+
+// Gives back the coupon use of an order (cancelled or never saved). Safe to
+// call more than once.
+const releaseCoupon = async (orderId) => {
+  const redemption = await CouponRedemption.findOneAndDelete({ orderId });
+  if (redemption) {
+    await Coupon.updateOne({ _id: redemption.couponId }, { $inc: { usedCount: -1 } });
+  }
+  return redemption;
+};
+
+// Uses a coupon for an order. The global limit is claimed with a conditional
+// increment. The per-user limit is checked again once the redemption is
+// recorded and undone if a concurrent order of the same user got there first.
+const redeemCoupon = async (code, userId, lines, orderId) => {
+  const quote = await quoteCoupon(code, userId, lines);
+  const { couponId } = quote.coupon;
+
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: couponId,
+      active: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw invalidCoupon("Coupon usage limit reached");
+  }
+
+  try {
+    await CouponRedemption.create({ couponId, userId, orderId, discount: quote.discount });
+  } catch (error) {
+    await Coupon.updateOne({ _id: couponId }, { $inc: { usedCount: -1 } });
+    throw error;
+  }
+
+  if (claimed.perUserLimit &&
+    await CouponRedemption.countDocuments({ couponId, userId }) > claimed.perUserLimit) {
+    await releaseCoupon(orderId);
+    throw invalidCoupon("You have already used this coupon as often as allowed");
+  }
+
+  return quote;
+};
+
+const ensureScopeExists = async ({ categories, products }) => {
+  if (categories && categories.length && await Category.countDocuments({ _id: { $in: categories } }) !== categories.length) {
+    throw httpError(400, "One or more categories were not found");
+  }
+  if (products && products.length && await Product.countDocuments({ _id: { $in: products } }) !== products.length) {
+    throw httpError(400, "One or more products were not found");
+  }
+};
+
+const findCoupon = async (id) => {
+  const coupon = await Coupon.findById(id);
+  if (!coupon) {
+    throw httpError(404, "Coupon not found");
+  }
+  return coupon;
+};
+
+const listCoupons = async ({ active, page, limit }) => {
+  const filter = active === undefined ? {} : { active };
+  const [coupons, total] = await Promise.all([
+    Coupon.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+    Coupon.countDocuments(filter)
+  ]);
+
+  return {
+    coupons,
+    pagination: { total, page, limit, totalPages: Math.ceil(total / limit) }
+  };
+};
+
+const createCoupon = async (data, createdBy) => {
+  await ensureScopeExists(data);
+  return Coupon.create({ ...data, createdBy });
+};
+
+const updateCoupon = async (id, changes) => {
+  const coupon = await findCoupon(id);
+  await ensureScopeExists(changes);
+
+  Object.assign(coupon, changes, { updatedAt: new Date() });
+  if (coupon.type === "percentage" && coupon.value > 100) {
+    throw httpError(400, "A percentage coupon cannot take more than 100% off");
+  }
+  if (coupon.startsAt && coupon.endsAt && coupon.endsAt <= coupon.startsAt) {
+    throw httpError(400, "endsAt must be after startsAt");
+  }
+  return coupon.save();
+};
+
+// Coupons that orders already used are kept for reporting; deactivate them instead
+const deleteCoupon = async (id) => {
+  const coupon = await findCoupon(id);
+  if (await CouponRedemption.exists({ couponId: coupon._id })) {
+    throw httpError(409, "Coupon has been used by orders, deactivate it instead");
+  }
+
+  await coupon.deleteOne();
+  return coupon;
+};
+
+module.exports = {
+  quoteCoupon,
+  redeemCoupon,
+  releaseCoupon,
+  findCoupon,
+  listCoupons,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+};
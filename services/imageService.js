@@ -0,0 +1,190 @@
+const mongoose = require("mongoose");
+const sharp = require("sharp");
+const httpError = require("../utils/httpError");
+const { getStorage } = require("./storage");
+
+const THUMBNAIL_SIZE = 300;
+const FORMATS = {
+  jpeg: { ext: "jpg", contentType: "image/jpeg" },
+  png: { ext: "png", contentType: "image/png" },
+  webp: { ext: "webp", contentType: "image/webp" }
+};
+
+const byPosition = (a, b) => a.position - b.position;
+
+const serializeImage = (image) => ({
+  id: image._id,
+  url: image.url,
+  thumbnailUrl: image.thumbnailUrl,
+  alt: image.alt,
+  position: image.position,
+  isPrimary: image.isPrimary,
+  width: image.width,
+  height: image.height
+});
+
+// Images in display order
+const serializeImages = (product) => [...(product.images || [])].sort(byPosition).map(serializeImage);
+
+const primaryImage = (product) => {
+  const images = [...(product.images || [])].sort(byPosition);
+  const primary = images.find(image => image.isPrimary) || images[0];
+  return primary ? serializeImage(primary) : null;
+};
+
+const findImage = (product, imageId) => {
+  const image = product.images.id(imageId);
+  if (!image) {
+    throw httpError(404, "Image not found");
+  }
+  return image;
+};
+
+// Decodes the upload (the mimetype alone can be spoofed), then stores the
+// original and a WebP thumbnail
+const storeImage = async (product, file) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    metadata = {};
+  }
+
+  const format = FORMATS[metadata.format];
+  if (!format) {
+    throw httpError(400, `${file.originalname} is not a valid JPEG, PNG or WebP image`, { code: "INVALID_FILE_TYPE" });
+  }
+
+  const storage = getStorage();
+  const _id = new mongoose.Types.ObjectId();
+  const key = `products/${product._id}/${_id}.${format.ext}`;
+  const thumbnailKey = `products/${product._id}/${_id}-thumb.webp`;
+
+  const thumbnail = await sharp(file.buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside", withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+  const url = await storage.put(key, file.buffer, format.contentType);
+  let thumbnailUrl;
+  try {
+    thumbnailUrl = await storage.put(thumbnailKey, thumbnail, "image/webp");
+  } catch (error) {
+    await storage.remove(key);
+    throw error;
+  }
+
+  return {
+    _id,
+    key,
+    url,
+    thumbnailKey,
+    thumbnailUrl,
+    contentType: format.contentType,
+    size: file.size,
+    width: metadata.width,
+    height: metadata.height
+  };
+};
+
+const removeFiles = async (images) => {
+  const storage = getStorage();
+  for (const image of images) {
+    await storage.remove(image.key);
+    if (image.thumbnailKey) await storage.remove(image.thumbnailKey);
+  }
+};
+
+// Appends uploaded images after the existing ones. `alts` lines up with the
+// files. The first image of a product becomes its primary image.
+const addImages = async (product, files, alts = []) => {
+  if (!files || !files.length) {
+    throw httpError(400, "At least one image file is required");
+  }
+  const maxImages = Number(process.env.MAX_IMAGES_PER_PRODUCT) || 20;
+  if (product.images.length + files.length > maxImages) {
+    throw httpError(400, `A product can have at most ${maxImages} images`);
+  }
+
+  const stored = [];
+  try {
+    for (const file of files) {
+      stored.push(await storeImage(product, file));
+    }
+  } catch (error) {
+    await removeFiles(stored);
+    throw error;
+  }
+
+  let position = product.images.reduce((max, image) => Math.max(max, image.position + 1), 0);
+  const hasPrimary = product.images.some(image => image.isPrimary);
+
+  stored.forEach((image, index) => {
+    product.images.push({
+      ...image,
+      alt: alts[index] || "",
+      position: position++,
+      isPrimary: !hasPrimary && index === 0
+    });
+  });
+
+  product.updatedAt = new Date();
+  await product.save();
+  return serializeImages(product);
+};
+
+const updateImage = async (product, imageId, { alt, isPrimary }) => {
+  const image = findImage(product, imageId);
+
+  if (alt !== undefined) image.alt = alt;
+  if (isPrimary === true) {
+    product.images.forEach(other => {
+      other.isPrimary = other._id.equals(image._id);
+    });
+  }
+
+  product.updatedAt = new Date();
+  await product.save();
+  return serializeImages(product);
+};
+
+// `order` lists every image id of the product in the new display order
+const reorderImages = async (product, order) => {
+  const ids = product.images.map(image => image._id.toString());
+  if (order.length !== ids.length || !order.every(id => ids.includes(id))) {
+    throw httpError(400, "order must list every image of the product exactly once");
+  }
+
+  order.forEach((id, position) => {
+    product.images.id(id).position = position;
+  });
+
+  product.updatedAt = new Date();
+  await product.save();
+  return serializeImages(product);
+};
+
+const deleteImage = async (product, imageId) => {
+  const image = findImage(product, imageId);
+  const wasPrimary = image.isPrimary;
+
+  product.images.pull(image._id);
+  if (wasPrimary && product.images.length) {
+    [...product.images].sort(byPosition)[0].isPrimary = true;
+  }
+
+  product.updatedAt = new Date();
+  await product.save();
+  await removeFiles([image]);
+  return serializeImages(product);
+};
+
+module.exports = {
+  serializeImages,
+  primaryImage,
+  addImages,
+  updateImage,
+  reorderImages,
+  deleteImage
+};
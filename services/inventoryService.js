@@ -0,0 +1,113 @@
+const Product = require("../models/product");
+const httpError = require("../utils/httpError");
+const { storefrontFilter, isOnStorefront } = require("./productStatusService");
+
+const lineKey = (productId, variantId) => `${productId}:${variantId || ""}`;
+
+// Adds up quantities so the same product (and variant) listed twice is reserved as one line
+const combineItems = (items) => {
+  const combined = new Map();
+
+  for (const item of items) {
+    const quantity = Number(item.quantity);
+    if (!item.productId || !Number.isInteger(quantity) || quantity < 1) {
+      throw httpError(400, "Each item needs a productId and a whole quantity of 1 or more");
+    }
+    const key = lineKey(item.productId, item.variantId);
+    const existing = combined.get(key);
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      combined.set(key, { productId: item.productId, variantId: item.variantId || null, quantity });
+    }
+  }
+
+  return [...combined.values()];
+};
+
+// Gives stock back for previously reserved lines. Variant lines restore both
+// the variant's stock and the product total.
+const releaseStock = async (items) => {
+  for (const item of items) {
+    if (item.variantId) {
+      await Product.updateOne(
+        { _id: item.productId, "variants._id": item.variantId },
+        { $inc: { "variants.$.stock": item.quantity, stock: item.quantity } }
+      );
+    } else {
+      await Product.updateOne({ _id: item.productId }, { $inc: { stock: item.quantity } });
+    }
+  }
+};
+
+// Explains why a line could not be reserved
+const reservationError = async ({ productId, variantId }) => {
+  const product = await Product.findById(productId).select("name variants._id status publishAt deletedAt");
+  if (!product) {
+    return httpError(404, `Product ${productId} not found`);
+  }
+  if (!isOnStorefront(product)) {
+    return httpError(400, `${product.name} is no longer available`);
+  }
+  if (product.variants.length && !variantId) {
+    return httpError(400, `Choose a variant of ${product.name}`);
+  }
+  if (!product.variants.length && variantId) {
+    return httpError(400, `${product.name} has no variants`);
+  }
+  if (variantId && !product.variants.id(variantId)) {
+    return httpError(404, `Variant ${variantId} of ${product.name} not found`);
+  }
+  return httpError(400, `Insufficient stock for ${product.name}`);
+};
+
+const reserveLine = ({ productId, variantId, quantity }) => variantId
+  ? Product.findOneAndUpdate(
+    { _id: productId, ...storefrontFilter(), variants: { $elemMatch: { _id: variantId, stock: { $gte: quantity } } } },
+    { $inc: { "variants.$.stock": -quantity, stock: -quantity } }
+  )
+  : Product.findOneAndUpdate(
+    { _id: productId, ...storefrontFilter(), "variants.0": { $exists: false }, stock: { $gte: quantity } },
+    { $inc: { stock: -quantity } }
+  );
+
+// Decrements stock for every line only where enough is left, so concurrent
+// orders can never drive it negative. If any line cannot be reserved, the
+// lines already taken are released again: an order gets all of its stock or none.
+// Resolves to the reserved products (as they were before the decrement) and,
+// for variant lines, the reserved variant.
+const reserveStock = async (items) => {
+  const lines = combineItems(items);
+  const reserved = [];
+
+  try {
+    for (const line of lines) {
+      const product = await reserveLine(line);
+
+      if (!product) {
+        throw await reservationError(line);
+      }
+
+      reserved.push({
+        product,
+        variant: line.variantId ? product.variants.id(line.variantId) : null,
+        quantity: line.quantity
+      });
+    }
+  } catch (error) {
+    await releaseStock(reserved.map(({ product, variant, quantity }) => ({
+      productId: product._id,
+      variantId: variant && variant._id,
+      quantity
+    })));
+    throw error;
+  }
+
+  return reserved;
+};
+
+module.exports = {
+  lineKey,
+  reserveStock,
+  releaseStock
+};
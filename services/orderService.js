@@ -0,0 +1,326 @@
+const User = require("../models/user");
+const Order = require("../models/order");
+const Product = require("../models/product");
+const httpError = require("../utils/httpError");
+const { roundMoney } = require("../utils/money");
+const { hasPermission } = require("../config/permissions");
+const { CART_PRODUCT_FIELDS, summarizeCart, resolveVariant } = require("./cartService");
+const { reserveStock, releaseStock } = require("./inventoryService");
+const { releaseCoupon } = require("./couponService");
+const { unitWeight, calculateTotals } = require("./pricingService");
+const { storefrontFilter } = require("./productStatusService");
+const { resolveDeliveryAddress, regionOf } = require("./addressService");
+
+// Allowed orderStatus moves; cancelled and returned are final
+const ORDER_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["processing", "cancelled"],
+  processing: ["shipped", "cancelled"],
+  shipped: ["delivered", "returned"],
+  delivered: ["returned"],
+  cancelled: [],
+  returned: []
+};
+
+const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+// When a new order has to be paid by; PAYMENT_TIMEOUT_MINUTES defaults to 30
+const paymentDueAt = (from = new Date()) =>
+  new Date(from.getTime() + (Number(process.env.PAYMENT_TIMEOUT_MINUTES) || 30) * 60 * 1000);
+
+// The totals stored on an order and returned by quotes
+const totalsOf = (totals) => ({
+  subtotal: totals.subtotal,
+  discountTotal: totals.discountTotal,
+  shippingTotal: totals.shippingTotal,
+  taxTotal: totals.taxTotal,
+  totalAmount: totals.totalAmount
+});
+
+// Reserves stock for the requested items, prices them (coupon, shipping and
+// tax) and creates the order. Stock and coupon use are released again if the
+// order cannot be saved. Only the ordered products are removed from the user's cart.
+// The delivery address is a full address, an address book entry (addressId)
+// or the default address; shipping and tax use its region.
+const placeOrder = async (userId, items, { deliveryAddress, addressId, paymentMethod, couponCode }) => {
+  const address = await resolveDeliveryAddress(userId, { addressId, deliveryAddress });
+  if (!address) {
+    throw httpError(400, "Delivery address is required (no default address saved)");
+  }
+  const region = regionOf(address);
+
+  const reserved = await reserveStock(items);
+
+  const processedItems = reserved.map(({ product, variant, quantity }) => {
+    const price = variant ? variant.price : product.price;
+
+    return {
+      productId: product._id,
+      productName: product.name,
+      variantId: variant ? variant._id : undefined,
+      sku: variant ? variant.sku : undefined,
+      variantAttributes: variant ? variant.attributes : undefined,
+      quantity,
+      price,
+      subtotal: roundMoney(price * quantity)
+    };
+  });
+
+  const order = new Order({
+    userId,
+    items: processedItems,
+    totalAmount: 0,
+    deliveryAddress: address,
+    paymentMethod,
+    paymentStatus: "pending",
+    paymentDueAt: paymentDueAt(),
+    orderStatus: "pending",
+    statusHistory: [{ from: null, to: "pending", changedBy: userId, note: "Order placed" }]
+  });
+
+  try {
+    const lines = reserved.map(({ product, variant, quantity }, index) => ({
+      productId: product._id,
+      category: product.category,
+      weight: unitWeight(product, variant),
+      quantity,
+      subtotal: processedItems[index].subtotal
+    }));
+    const totals = await calculateTotals(userId, lines, { region, couponCode, orderId: order._id });
+
+    totals.lines.forEach((line, index) => Object.assign(order.items[index], line));
+    order.set({
+      ...totalsOf(totals),
+      coupon: totals.coupon || undefined,
+      region: totals.region || undefined,
+      shipping: totals.shipping
+    });
+
+    await order.save();
+  } catch (error) {
+    await releaseCoupon(order._id);
+    await releaseStock(processedItems);
+    throw error;
+  }
+
+  await User.findByIdAndUpdate(userId, {
+    $pull: {
+      cart: {
+        $or: processedItems.map(item => ({ productId: item.productId, variantId: item.variantId || null }))
+      }
+    }
+  });
+
+  return order;
+};
+
+// Prices items the way placeOrder would, without reserving stock or using up
+// the coupon. Fails like placeOrder for unknown products and variants.
+const quoteOrder = async (userId, items, { couponCode, region } = {}) => {
+  const lines = [];
+  for (const item of items) {
+    const product = await Product.findOne({ _id: item.productId, ...storefrontFilter() });
+    if (!product) {
+      throw httpError(404, `Product ${item.productId} not found`);
+    }
+    const variant = resolveVariant(product, item.variantId);
+    const price = variant ? variant.price : product.price;
+    const stock = variant ? variant.stock : product.stock;
+
+    lines.push({
+      productId: product._id,
+      name: product.name,
+      variantId: variant ? variant._id : undefined,
+      sku: variant ? variant.sku : undefined,
+      category: product.category,
+      weight: unitWeight(product, variant),
+      price,
+      quantity: item.quantity,
+      subtotal: roundMoney(price * item.quantity),
+      availableStock: stock,
+      status: stock <= 0 ? "out_of_stock" : item.quantity > stock ? "insufficient_stock" : "ok"
+    });
+  }
+
+  const totals = await calculateTotals(userId, lines, { couponCode, region });
+  return {
+    items: lines.map((line, index) => ({ ...line, ...totals.lines[index] })),
+    ...totalsOf(totals),
+    coupon: totals.coupon,
+    shipping: totals.shipping,
+    region: totals.region,
+    hasIssues: lines.some(line => line.status !== "ok")
+  };
+};
+
+// Builds the checkout preview from the stored cart, optionally limited to some
+// products. Coupon, shipping and tax are priced for the lines that can be
+// ordered, in the region of the delivery address.
+const previewCheckout = async (userId, { productIds, deliveryAddress, addressId, couponCode } = {}) => {
+  const user = await User.findById(userId).select("cart").populate("cart.productId", CART_PRODUCT_FIELDS);
+  if (!user) {
+    throw httpError(404, "User not found");
+  }
+
+  const selected = productIds && productIds.length
+    ? user.cart.filter(line => {
+      const id = line.productId && line.productId._id ? line.productId._id : line.productId;
+      return id && productIds.includes(id.toString());
+    })
+    : user.cart;
+
+  if (selected.length === 0) {
+    throw httpError(400, productIds && productIds.length
+      ? "None of the selected products are in the cart"
+      : "Cart is empty");
+  }
+
+  const address = await resolveDeliveryAddress(userId, { addressId, deliveryAddress });
+  const summary = summarizeCart(selected);
+  const orderable = summary.items.filter(item => item.status === "ok");
+  const totals = await calculateTotals(userId, orderable, { couponCode, region: regionOf(address) });
+  const charges = new Map(orderable.map((item, index) => [item, totals.lines[index]]));
+
+  return {
+    ...summary,
+    items: summary.items.map(item => ({ ...item, ...(charges.get(item) || { discount: 0, taxRate: 0, tax: 0 }) })),
+    ...totalsOf(totals),
+    coupon: totals.coupon,
+    shipping: totals.shipping,
+    region: totals.region,
+    deliveryAddress: address
+  };
+};
+
+const checkout = async (userId, { productIds, deliveryAddress, addressId, paymentMethod, couponCode }) => {
+  const preview = await previewCheckout(userId, { productIds, deliveryAddress, addressId, couponCode });
+
+  if (preview.hasIssues) {
+    throw httpError(400, "Some cart items are unavailable or out of stock", {
+      code: "CART_HAS_ISSUES",
+      details: { preview }
+    });
+  }
+
+  if (!preview.deliveryAddress) {
+    throw httpError(400, "Delivery address is required (no default address saved)");
+  }
+
+  const items = preview.items.map(item => ({
+    productId: item.productId,
+    variantId: item.variantId,
+    quantity: item.quantity
+  }));
+  return placeOrder(userId, items, { deliveryAddress: preview.deliveryAddress, paymentMethod, couponCode });
+};
+
+// Moves an order to a new status if the transition table allows it and
+// appends the change to statusHistory. The update is conditional on the
+// status that was read, so two concurrent changes cannot both succeed.
+// `update` holds extra fields to $set in the same write; `where` adds
+// conditions the order must still meet at write time. Only paid orders can
+// be confirmed: an unpaid confirmed order could neither be paid nor swept.
+const transitionOrder = async (orderId, to, { changedBy, note = "", update = {}, where = {} } = {}) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw httpError(404, "Order not found");
+  }
+
+  const from = order.orderStatus;
+  if (from === to) {
+    throw httpError(409, `Order is already ${to}`);
+  }
+  if (!canTransition(from, to)) {
+    throw httpError(409, `Cannot change order status from ${from} to ${to}`);
+  }
+  if (to === "confirmed" && order.paymentStatus !== "completed") {
+    throw httpError(409, "Cannot confirm an order that has not been paid", { code: "PAYMENT_REQUIRED" });
+  }
+
+  const paid = to === "confirmed" ? { paymentStatus: "completed" } : {};
+  const now = new Date();
+  const updated = await Order.findOneAndUpdate(
+    { ...where, ...paid, _id: order._id, orderStatus: from },
+    {
+      $set: { ...update, orderStatus: to, updatedAt: now },
+      $push: { statusHistory: { from, to, changedBy, note, changedAt: now } }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw httpError(409, "Order status was changed by another request, please retry");
+  }
+
+  return updated;
+};
+
+// Puts a cancelled order's items back in stock and gives back its coupon use.
+// The stockRestored flag is claimed atomically first, so retries and
+// concurrent calls restock only once.
+const restoreCancelledStock = async (orderId) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: orderId, orderStatus: "cancelled", "cancellation.stockRestored": { $ne: true } },
+    { $set: { "cancellation.stockRestored": true } },
+    { new: true }
+  );
+
+  if (claimed) {
+    await releaseStock(claimed.items);
+    await releaseCoupon(claimed._id);
+    return claimed;
+  }
+
+  return Order.findById(orderId);
+};
+
+// Cancels an order (owner or staff with orders:manage), restocks it and
+// refunds its payment if it was paid. The order is kept for history and
+// audits. Cancelling an already cancelled order only makes sure its stock
+// was restored and its payment refunded, so the call is safe to retry.
+const cancelOrder = async (orderId, { userId, role, reason = "" }) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw httpError(404, "Order not found");
+  }
+
+  if (order.userId.toString() !== userId && !hasPermission(role, "orders:manage")) {
+    throw httpError(403, "Unauthorized to cancel this order");
+  }
+
+  if (order.orderStatus === "delivered") {
+    throw httpError(409, "Cannot cancel a delivered order, request a return instead", { code: "RETURN_REQUIRED" });
+  }
+
+  if (order.orderStatus !== "cancelled") {
+    await transitionOrder(order._id, "cancelled", {
+      changedBy: userId,
+      note: reason,
+      update: {
+        "cancellation.reason": reason,
+        "cancellation.cancelledBy": userId,
+        "cancellation.cancelledAt": new Date()
+      }
+    });
+  }
+
+  await restoreCancelledStock(order._id);
+
+  // Required here, paymentService itself depends on this module
+  const { refundCancelledOrder } = require("./paymentService");
+  await refundCancelledOrder(order._id, userId);
+
+  return Order.findById(order._id);
+};
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  canTransition,
+  transitionOrder,
+  restoreCancelledStock,
+  cancelOrder,
+  placeOrder,
+  quoteOrder,
+  previewCheckout,
+  checkout
+};
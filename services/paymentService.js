@@ -0,0 +1,300 @@
+const Order = require("../models/order");
+const Payment = require("../models/payment");
+const httpError = require("../utils/httpError");
+const { roundMoney } = require("../utils/money");
+const { hasPermission } = require("../config/permissions");
+const { getProvider } = require("./payments");
+const { transitionOrder, restoreCancelledStock } = require("./orderService");
+
+const WEBHOOK_EVENTS = ["payment.succeeded", "payment.failed"];
+
+// Payment states that still allow a refund
+const REFUNDABLE = ["completed", "partially_refunded"];
+
+const loadOrder = async (orderId, { userId, role }) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw httpError(404, "Order not found");
+  }
+  if (order.userId.toString() !== userId && !hasPermission(role, "orders:manage")) {
+    throw httpError(403, "Unauthorized to access this order's payments");
+  }
+  return order;
+};
+
+// Starts paying a pending order. An open intent for the same amount is handed
+// out again, so reloading the payment page cannot lead to two charges.
+const createPaymentIntent = async (orderId, { userId, role }) => {
+  const order = await loadOrder(orderId, { userId, role });
+  if (order.paidAt) {
+    throw httpError(409, "Order is already paid");
+  }
+  if (order.orderStatus !== "pending") {
+    throw httpError(409, `Cannot pay a ${order.orderStatus} order`);
+  }
+  if (order.paymentDueAt && order.paymentDueAt <= new Date()) {
+    throw httpError(409, "The payment window for this order has closed");
+  }
+
+  const provider = getProvider();
+  let payment = await Payment.findOne({
+    orderId: order._id,
+    provider: provider.name,
+    amount: order.totalAmount,
+    status: "requires_payment"
+  }).select("+clientSecret");
+
+  if (!payment) {
+    const currency = process.env.PAYMENT_CURRENCY || "INR";
+    const intent = await provider.createIntent({
+      reference: order._id.toString(),
+      amount: order.totalAmount,
+      currency
+    });
+    payment = await Payment.create({
+      orderId: order._id,
+      userId: order.userId,
+      provider: provider.name,
+      intentId: intent.intentId,
+      clientSecret: intent.clientSecret,
+      amount: order.totalAmount,
+      currency
+    });
+  }
+
+  return {
+    provider: provider.name,
+    intentId: payment.intentId,
+    clientSecret: payment.clientSecret,
+    amount: payment.amount,
+    currency: payment.currency,
+    payBy: order.paymentDueAt
+  };
+};
+
+// A payment that succeeded marks the order paid and confirms it if it is
+// still pending. A payment arriving after the order was cancelled is refunded
+// straight away. A second successful intent for an already paid order only
+// marks the Payment as succeeded; staff have to refund that one.
+const applySucceeded = async (payment) => {
+  await Payment.updateOne({ _id: payment._id }, { $set: { status: "succeeded", failureReason: "", updatedAt: new Date() } });
+
+  const order = await Order.findOneAndUpdate(
+    { _id: payment.orderId, paymentStatus: { $in: ["pending", "failed"] } },
+    { $set: { paymentStatus: "completed", paidAt: new Date(), updatedAt: new Date() } },
+    { new: true }
+  );
+
+  if (order && order.orderStatus === "pending") {
+    try {
+      await transitionOrder(order._id, "confirmed", { note: "Payment received", where: { paymentStatus: "completed" } });
+    } catch (error) {
+      // Cancelled or confirmed by someone else in the meantime
+      if (error.status !== 409) throw error;
+    }
+  }
+
+  // Also on webhook retries, in case the refund did not go through the first time
+  await refundCancelledOrder(payment.orderId);
+};
+
+// A failed attempt never overrides a success (of this or another intent)
+const applyFailed = async (payment, failureReason) => {
+  await Payment.updateOne(
+    { _id: payment._id, status: { $ne: "succeeded" } },
+    { $set: { status: "failed", failureReason: failureReason || "", updatedAt: new Date() } }
+  );
+  await Order.updateOne(
+    { _id: payment.orderId, paymentStatus: "pending" },
+    { $set: { paymentStatus: "failed", updatedAt: new Date() } }
+  );
+};
+
+// Verifies and applies a provider webhook. Applying an event is idempotent;
+// its id is recorded afterwards so retries of it are skipped.
+const handleWebhook = async (rawBody, headers) => {
+  const provider = getProvider();
+  const event = provider.parseWebhook(rawBody, headers);
+  if (!WEBHOOK_EVENTS.includes(event.type)) {
+    return { event, ignored: true };
+  }
+
+  const payment = await Payment.findOne({ provider: provider.name, intentId: event.intentId });
+  if (!payment) {
+    throw httpError(404, "Payment not found");
+  }
+  if (payment.processedEvents.includes(event.id)) {
+    return { event, duplicate: true };
+  }
+
+  if (event.type === "payment.succeeded") {
+    await applySucceeded(payment);
+  } else {
+    await applyFailed(payment, event.failureReason);
+  }
+
+  await Payment.updateOne({ _id: payment._id }, { $addToSet: { processedEvents: event.id } });
+  return { event, payment: await Payment.findById(payment._id) };
+};
+
+// Mock provider only, and only with PAYMENT_MOCK_SIMULATE=true outside
+// production: sends the webhook the gateway would send for an intent
+const simulationEnabled = () =>
+  process.env.PAYMENT_MOCK_SIMULATE === "true" && process.env.NODE_ENV !== "production";
+
+const simulatePayment = async (intentId, outcome, { userId, role }) => {
+  const provider = getProvider();
+  if (!simulationEnabled() || typeof provider.simulate !== "function") {
+    throw httpError(404, `The ${provider.name} payment provider cannot simulate payments`);
+  }
+
+  const payment = await Payment.findOne({ provider: provider.name, intentId });
+  if (!payment) {
+    throw httpError(404, "Payment not found");
+  }
+  if (payment.userId.toString() !== userId && !hasPermission(role, "orders:manage")) {
+    throw httpError(403, "Unauthorized to access this payment");
+  }
+
+  const { body, headers } = provider.simulate(intentId, outcome);
+  return handleWebhook(body, headers);
+};
+
+const listOrderPayments = async (orderId, user) => {
+  const order = await loadOrder(orderId, user);
+  const payments = await Payment.find({ orderId: order._id }).sort({ createdAt: -1 });
+  return { order, payments };
+};
+
+// Refunds part or all (default: what is left) of an order's payment through
+// the provider that took it. The amount is claimed on the order first, with a
+// condition that keeps refundedTotal within totalAmount, and given back if the
+// provider refuses. paymentStatus becomes refunded once everything is back.
+const refundOrder = async (orderId, { amount, reason = "", returnId } = {}, createdBy) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw httpError(404, "Order not found");
+  }
+  if (!REFUNDABLE.includes(order.paymentStatus)) {
+    throw httpError(409, `Cannot refund an order whose payment is ${order.paymentStatus}`);
+  }
+
+  const remaining = roundMoney(order.totalAmount - (order.refundedTotal || 0));
+  amount = roundMoney(amount === undefined ? remaining : amount);
+  if (amount <= 0 || amount > remaining) {
+    throw httpError(400, `Refund must be between 0 and the ${remaining} not yet refunded`);
+  }
+
+  const payment = await Payment.findOne({ orderId: order._id, status: "succeeded" }).sort({ updatedAt: -1 });
+  if (!payment) {
+    throw httpError(409, "No successful payment found for this order");
+  }
+
+  const refund = { amount, reason, returnId, provider: payment.provider, createdBy, createdAt: new Date() };
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      paymentStatus: { $in: REFUNDABLE },
+      $expr: { $lte: [{ $add: [{ $ifNull: ["$refundedTotal", 0] }, amount] }, { $add: ["$totalAmount", 0.005] }] }
+    },
+    { $inc: { refundedTotal: amount }, $push: { refunds: refund } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw httpError(409, "Order was refunded by another request, please retry");
+  }
+  const refundId = claimed.refunds[claimed.refunds.length - 1]._id;
+
+  let providerRefund;
+  try {
+    providerRefund = await getProvider().refund({ intentId: payment.intentId, amount, currency: payment.currency });
+  } catch (error) {
+    await Order.updateOne({ _id: order._id }, { $inc: { refundedTotal: -amount }, $pull: { refunds: { _id: refundId } } });
+    throw error;
+  }
+
+  await Order.updateOne(
+    { _id: order._id, "refunds._id": refundId },
+    { $set: { "refunds.$.providerRefundId": providerRefund.refundId } }
+  );
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id },
+    [{
+      $set: {
+        paymentStatus: {
+          $cond: [{ $gte: ["$refundedTotal", { $subtract: ["$totalAmount", 0.005] }] }, "refunded", "partially_refunded"]
+        },
+        updatedAt: new Date()
+      }
+    }],
+    { new: true, updatePipeline: true }
+  );
+
+  return { order: updated, refund: updated.refunds.id(refundId) };
+};
+
+// Gives back whatever is not refunded yet of a cancelled order's payment.
+// Orders that are not cancelled or not paid are left alone.
+const refundCancelledOrder = async (orderId, createdBy) => {
+  const order = await Order.findById(orderId);
+  if (!order || order.orderStatus !== "cancelled" || !REFUNDABLE.includes(order.paymentStatus)) {
+    return null;
+  }
+  if (roundMoney(order.totalAmount - (order.refundedTotal || 0)) <= 0) {
+    return null;
+  }
+  return refundOrder(order._id, { reason: "Order cancelled" }, createdBy);
+};
+
+// Cancels pending orders whose payment window closed and puts their stock and
+// coupon use back. An order paid in the meantime is left alone.
+const cancelUnpaidOrders = async (now = new Date()) => {
+  const overdue = await Order.find({
+    orderStatus: "pending",
+    paymentStatus: { $in: ["pending", "failed"] },
+    paymentDueAt: { $lte: now }
+  }).select("_id");
+
+  let cancelled = 0;
+  for (const { _id } of overdue) {
+    try {
+      await transitionOrder(_id, "cancelled", {
+        note: "Payment not received in time",
+        where: { paymentStatus: { $in: ["pending", "failed"] } },
+        update: {
+          "cancellation.reason": "Payment not received in time",
+          "cancellation.cancelledAt": now
+        }
+      });
+      await restoreCancelledStock(_id);
+      cancelled += 1;
+    } catch (error) {
+      if (error.status !== 409) throw error;
+    }
+  }
+  return cancelled;
+};
+
+// Runs cancelUnpaidOrders every PAYMENT_SWEEP_INTERVAL_SECONDS (default 60)
+const startUnpaidOrderSweeper = () => {
+  const interval = (Number(process.env.PAYMENT_SWEEP_INTERVAL_SECONDS) || 60) * 1000;
+  const timer = setInterval(() => {
+    cancelUnpaidOrders()
+      .then(count => count && console.log(`Cancelled ${count} unpaid order(s)`))
+      .catch(error => console.error("Unpaid order sweep failed:", error));
+  }, interval);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  createPaymentIntent,
+  handleWebhook,
+  simulationEnabled,
+  simulatePayment,
+  listOrderPayments,
+  refundOrder,
+  refundCancelledOrder,
+  cancelUnpaidOrders,
+  startUnpaidOrderSweeper
+};
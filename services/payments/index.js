@@ -0,0 +1,37 @@
+const createMockProvider = require("./mockProvider");
+
+// Payment providers share one interface:
+//   name
+//   createIntent({ reference, amount, currency }) -> { intentId, clientSecret, status }
+//   refund({ intentId, amount, currency }) -> { refundId }
+//   parseWebhook(rawBody, headers) -> { id, type, intentId, failureReason }
+//     Throws a 400 if the signature does not match. type is "payment.succeeded"
+//     or "payment.failed"; id identifies the event so retries can be ignored.
+// PAYMENT_PROVIDER picks one; "mock" (default) needs no network and can
+// simulate the provider's webhooks (see simulate in mockProvider.js).
+const PROVIDERS = {
+  mock: createMockProvider
+};
+
+let provider;
+
+const getProvider = () => {
+  if (!provider) {
+    const name = process.env.PAYMENT_PROVIDER || "mock";
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown PAYMENT_PROVIDER "${name}"`);
+    }
+    provider = PROVIDERS[name]();
+  }
+  return provider;
+};
+
+// Lets tests or scripts swap in another provider
+const setProvider = (custom) => {
+  provider = custom;
+};
+
+module.exports = {
+  getProvider,
+  setProvider
+};
@@ -0,0 +1,69 @@
+const crypto = require("crypto");
+const httpError = require("../../utils/httpError");
+
+const SIGNATURE_HEADER = "x-payment-signature";
+
+// Offline stand-in for a card/UPI gateway. Intents only exist in our own
+// Payment collection; webhooks are signed with an HMAC-SHA256 of the raw body
+// ("sha256=<hex>") like most real gateways, so the webhook route is exercised
+// exactly as in production. Without PAYMENT_WEBHOOK_SECRET every webhook is
+// rejected: a default secret would let anyone sign one.
+const createMockProvider = ({
+  secret = process.env.PAYMENT_WEBHOOK_SECRET
+} = {}) => {
+  const requireSecret = () => {
+    if (!secret) {
+      throw httpError(503, "Payment webhooks are not configured (PAYMENT_WEBHOOK_SECRET is not set)", { code: "WEBHOOKS_DISABLED" });
+    }
+    return secret;
+  };
+  const sign = (body) => `sha256=${crypto.createHmac("sha256", requireSecret()).update(body).digest("hex")}`;
+
+  return {
+    name: "mock",
+
+    async createIntent() {
+      const intentId = `mock_pi_${crypto.randomBytes(12).toString("hex")}`;
+      return {
+        intentId,
+        clientSecret: `${intentId}_secret_${crypto.randomBytes(8).toString("hex")}`,
+        status: "requires_payment"
+      };
+    },
+
+    async refund() {
+      return { refundId: `mock_re_${crypto.randomBytes(12).toString("hex")}` };
+    },
+
+    parseWebhook(rawBody, headers) {
+      const signature = String(headers[SIGNATURE_HEADER] || "");
+      const expected = sign(rawBody || "");
+      if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw httpError(400, "Invalid webhook signature", { code: "INVALID_SIGNATURE" });
+      }
+
+      const event = JSON.parse(rawBody.toString());
+      return {
+        id: event.id,
+        type: event.type,
+        intentId: event.data && event.data.intentId,
+        failureReason: event.data && event.data.failureReason
+      };
+    },
+
+    // Builds the signed webhook the gateway would send once the customer
+    // paid (or the payment failed)
+    simulate(intentId, outcome, failureReason = "") {
+      const body = Buffer.from(JSON.stringify({
+        id: `mock_evt_${crypto.randomBytes(12).toString("hex")}`,
+        type: outcome === "succeeded" ? "payment.succeeded" : "payment.failed",
+        created: new Date().toISOString(),
+        data: { intentId, failureReason: outcome === "succeeded" ? undefined : failureReason || "Card declined" }
+      }));
+      return { body, headers: { [SIGNATURE_HEADER]: sign(body) } };
+    }
+  };
+};
+
+module.exports = createMockProvider;
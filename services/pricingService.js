@@ -0,0 +1,184 @@
+const ShippingRule = require("../models/shippingRule");
+const TaxRule = require("../models/taxRule");
+const Category = require("../models/category");
+const httpError = require("../utils/httpError");
+const { roundMoney } = require("../utils/money");
+const { lineageOf } = require("./categoryService");
+const { quoteCoupon, redeemCoupon } = require("./couponService");
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Shipping weight of one unit in kg; a variant's own weight wins
+const unitWeight = (product, variant) =>
+  variant && variant.weight !== undefined && variant.weight !== null ? variant.weight : product.weight || 0;
+
+// A rule without a region applies everywhere; "IN" also covers "IN-KA"
+const regionMatches = (ruleRegion, region) =>
+  !ruleRegion || (!!region && (region === ruleRegion || region.startsWith(`${ruleRegion}-`)));
+
+const regionSpecificity = (ruleRegion) => (ruleRegion ? ruleRegion.length : 0);
+
+const findShippingRule = async (region) => {
+  const rules = await ShippingRule.find({ active: true }).lean();
+  return rules
+    .filter(rule => regionMatches(rule.region, region))
+    .sort((a, b) => regionSpecificity(b.region) - regionSpecificity(a.region) || b.createdAt - a.createdAt)[0] || null;
+};
+
+const tierRate = (tiers, value) => {
+  const upTo = (tier) => (tier.upTo === undefined || tier.upTo === null ? Infinity : tier.upTo);
+  const tier = [...tiers].sort((a, b) => upTo(a) - upTo(b)).find(t => value <= upTo(t));
+  if (!tier) {
+    throw httpError(400, "Shipping is not available for this order", { code: "SHIPPING_UNAVAILABLE" });
+  }
+  return tier.rate;
+};
+
+// `amount` is the merchandise total after discounts. Nothing to ship costs nothing.
+const calculateShipping = async (lines, amount, region) => {
+  const weight = Math.round(lines.reduce((sum, line) => sum + line.weight * line.quantity, 0) * 1000) / 1000;
+  const rule = lines.length ? await findShippingRule(region) : null;
+  if (!rule) {
+    return { amount: 0, ruleId: null, name: null, method: null, weight, freeShipping: false };
+  }
+
+  const freeShipping = rule.freeShippingThreshold !== undefined && rule.freeShippingThreshold !== null &&
+    amount >= rule.freeShippingThreshold;
+
+  let charge = 0;
+  if (!freeShipping) {
+    if (rule.method === "flat") charge = rule.flatRate;
+    if (rule.method === "weight") charge = tierRate(rule.tiers, weight);
+    if (rule.method === "amount") charge = tierRate(rule.tiers, amount);
+  }
+
+  return {
+    amount: roundMoney(charge),
+    ruleId: rule._id,
+    name: rule.name,
+    method: rule.method,
+    weight,
+    freeShipping
+  };
+};
+
+// Tax rate and amount for each line, taxed on its amount after discounts.
+// Rules for the line's category (nearest category first) beat general rules;
+// longer regions beat shorter ones.
+const calculateTaxes = async (lines, region) => {
+  const rules = (await TaxRule.find({ active: true }).lean()).filter(rule => regionMatches(rule.region, region));
+  const categoryIds = [...new Set(lines.filter(line => line.category).map(line => String(idOf(line.category))))];
+  const lineage = rules.some(rule => rule.category) ? await lineageOf(categoryIds) : new Map();
+
+  return lines.map(line => {
+    const chain = line.category ? lineage.get(String(idOf(line.category))) || [] : [];
+    let best = null;
+    let bestScore = -1;
+
+    for (const rule of rules) {
+      const depth = rule.category ? chain.indexOf(String(rule.category)) : null;
+      if (depth === -1) continue;
+
+      const score = (rule.category ? (100 - depth) * 100 : 0) + regionSpecificity(rule.region);
+      if (score > bestScore) {
+        best = rule;
+        bestScore = score;
+      }
+    }
+
+    const rate = best ? best.rate : 0;
+    return { rate, tax: roundMoney(((line.subtotal - line.discount) * rate) / 100) };
+  });
+};
+
+// Prices priced lines ({ productId, category, weight, quantity, subtotal })
+// into the order totals. With `orderId` the coupon is used up for that order,
+// otherwise it is only quoted. Without a region DEFAULT_REGION is used.
+// `lines` in the result follow the input order.
+const calculateTotals = async (userId, lines, { region, couponCode, orderId } = {}) => {
+  region = region || process.env.DEFAULT_REGION || null;
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.subtotal, 0));
+
+  let coupon = null;
+  let discountTotal = 0;
+  let lineDiscounts = lines.map(() => 0);
+  if (couponCode) {
+    const quote = orderId
+      ? await redeemCoupon(couponCode, userId, lines, orderId)
+      : await quoteCoupon(couponCode, userId, lines);
+    coupon = quote.coupon;
+    discountTotal = quote.discount;
+    lineDiscounts = quote.lineDiscounts;
+  }
+
+  const discounted = lines.map((line, index) => ({ ...line, discount: lineDiscounts[index] }));
+  const shipping = await calculateShipping(discounted, roundMoney(subtotal - discountTotal), region);
+  const taxes = await calculateTaxes(discounted, region);
+  const taxTotal = roundMoney(taxes.reduce((sum, line) => sum + line.tax, 0));
+
+  return {
+    region,
+    subtotal,
+    discountTotal,
+    shippingTotal: shipping.amount,
+    taxTotal,
+    totalAmount: roundMoney(subtotal - discountTotal + shipping.amount + taxTotal),
+    coupon,
+    shipping,
+    lines: discounted.map((line, index) => ({
+      discount: line.discount,
+      taxRate: taxes[index].rate,
+      tax: taxes[index].tax
+    }))
+  };
+};
+
+// Tiered rules need tiers; checked on the merged rule so updates that change
+// only the method are covered too
+const checkShippingRule = async (rule) => {
+  if (rule.method !== "flat" && rule.tiers.length === 0) {
+    throw httpError(400, `A ${rule.method} shipping rule needs at least one tier`);
+  }
+};
+
+const checkTaxRule = async (rule) => {
+  if (rule.category && !(await Category.exists({ _id: rule.category }))) {
+    throw httpError(400, "Category not found");
+  }
+};
+
+// CRUD for the rule collections, used by routes/pricingRoutes.js
+const ruleStore = (Model, label, check) => ({
+  list: () => Model.find().sort({ region: 1, createdAt: -1 }),
+
+  create: async (data) => {
+    const rule = new Model(data);
+    await check(rule);
+    return rule.save();
+  },
+
+  update: async (id, changes) => {
+    const rule = await Model.findById(id);
+    if (!rule) {
+      throw httpError(404, `${label} not found`);
+    }
+    Object.assign(rule, changes, { updatedAt: new Date() });
+    await check(rule);
+    return rule.save();
+  },
+
+  remove: async (id) => {
+    const rule = await Model.findByIdAndDelete(id);
+    if (!rule) {
+      throw httpError(404, `${label} not found`);
+    }
+    return rule;
+  }
+});
+
+module.exports = {
+  unitWeight,
+  calculateTotals,
+  shippingRules: ruleStore(ShippingRule, "Shipping rule", checkShippingRule),
+  taxRules: ruleStore(TaxRule, "Tax rule", checkTaxRule)
+};
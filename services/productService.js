@@ -0,0 +1,106 @@
+const Product = require("../models/product");
+const httpError = require("../utils/httpError");
+const { resolveCategoryIds } = require("./categoryService");
+const { storefrontFilter, adminFilter } = require("./productStatusService");
+
+// Sort options accepted by GET / and the field each one orders by
+const SORTS = {
+  newest: { field: "createdAt", direction: -1 },
+  price_asc: { field: "price", direction: 1 },
+  price_desc: { field: "price", direction: -1 },
+  rating: { field: "averageRating", direction: -1 }
+};
+
+const encodeCursor = (product, field) =>
+  Buffer.from(JSON.stringify({ v: product[field], id: product._id })).toString("base64url");
+
+const decodeCursor = (cursor, field) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    return { value: field === "createdAt" ? new Date(v) : v, id };
+  } catch (error) {
+    throw httpError(400, "Invalid cursor", { code: "INVALID_CURSOR" });
+  }
+};
+
+// `category` is an id or slug and also matches its subcategories. The
+// storefront only sees live products; staff lists filter by status instead.
+const buildFilter = async ({ q, category, minPrice, maxPrice, inStock, minRating, ...options }, admin) => {
+  const filter = admin ? adminFilter(options) : storefrontFilter();
+
+  if (q) filter.$text = { $search: q };
+  if (category) filter.category = { $in: await resolveCategoryIds(category) };
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filter.price = {};
+    if (minPrice !== undefined) filter.price.$gte = minPrice;
+    if (maxPrice !== undefined) filter.price.$lte = maxPrice;
+  }
+  if (inStock === true) filter.stock = { $gt: 0 };
+  if (inStock === false) filter.stock = { $lte: 0 };
+  if (minRating !== undefined) filter.averageRating = { $gte: minRating };
+
+  return filter;
+};
+
+// Lists products for the storefront (or every status with `admin`). Pages either by page/limit or, when a
+// cursor from a previous response is passed, by keyset on the sort field
+// (stable while products are being added). Text search without an explicit
+// sort orders by relevance, which only supports page/limit.
+const listProducts = async (options, { admin = false } = {}) => {
+  const { q, sort, page, limit, cursor } = options;
+  const filter = await buildFilter(options, admin);
+  const byRelevance = q && !sort;
+
+  let query;
+  if (byRelevance) {
+    if (cursor) {
+      throw httpError(400, "Cursor paging needs an explicit sort when searching", { code: "INVALID_CURSOR" });
+    }
+    query = Product.find(filter, { score: { $meta: "textScore" } })
+      .sort({ score: { $meta: "textScore" }, _id: 1 });
+  } else {
+    const { field, direction } = SORTS[sort || "newest"];
+    const pageFilter = { ...filter };
+
+    if (cursor) {
+      const { value, id } = decodeCursor(cursor, field);
+      const op = direction === 1 ? "$gt" : "$lt";
+      pageFilter.$or = [
+        { [field]: { [op]: value } },
+        { [field]: value, _id: { [op]: id } }
+      ];
+    }
+
+    query = Product.find(pageFilter).sort({ [field]: direction, _id: direction });
+  }
+
+  if (!cursor) {
+    query = query.skip((page - 1) * limit);
+  }
+
+  const [results, total] = await Promise.all([
+    query.limit(limit + 1).populate("category", "name slug"),
+    Product.countDocuments(filter)
+  ]);
+
+  const hasMore = results.length > limit;
+  const products = results.slice(0, limit);
+  const last = products[products.length - 1];
+
+  return {
+    products,
+    pagination: {
+      total,
+      limit,
+      page: cursor ? null : page,
+      totalPages: Math.ceil(total / limit),
+      hasMore,
+      nextCursor: hasMore && !byRelevance ? encodeCursor(last, SORTS[sort || "newest"].field) : null
+    }
+  };
+};
+
+module.exports = {
+  SORTS,
+  listProducts
+};
@@ -0,0 +1,97 @@
+const httpError = require("../utils/httpError");
+
+// Statuses staff can filter by. "scheduled" is an active product whose
+// publishAt is still in the future.
+const LIST_STATUSES = ["draft", "scheduled", "active", "archived"];
+
+// Query conditions for products customers may see and buy
+const storefrontFilter = (now = new Date()) => ({
+  status: "active",
+  deletedAt: null,
+  publishAt: { $not: { $gt: now } }
+});
+
+const isOnStorefront = (product, now = new Date()) =>
+  product.status === "active" &&
+  !product.deletedAt &&
+  !(product.publishAt && product.publishAt > now);
+
+const effectiveStatus = (product, now = new Date()) =>
+  product.status === "active" && product.publishAt && product.publishAt > now
+    ? "scheduled"
+    : product.status;
+
+// Query conditions for the staff product list. Deleted products are only
+// listed when asked for.
+const adminFilter = ({ status, deleted = false }, now = new Date()) => {
+  const filter = { deletedAt: deleted ? { $ne: null } : null };
+
+  if (status === "draft" || status === "archived") filter.status = status;
+  if (status === "active") Object.assign(filter, { status: "active", publishAt: { $not: { $gt: now } } });
+  if (status === "scheduled") Object.assign(filter, { status: "active", publishAt: { $gt: now } });
+
+  return filter;
+};
+
+const ensureNotDeleted = (product) => {
+  if (product.deletedAt) {
+    throw httpError(409, "Product is deleted, restore it first");
+  }
+};
+
+// Makes a product live now, or at `publishAt` when that is in the future
+const publishProduct = async (product, { publishAt } = {}) => {
+  ensureNotDeleted(product);
+
+  product.status = "active";
+  product.publishAt = publishAt || null;
+  product.updatedAt = new Date();
+  return product.save();
+};
+
+// Takes a product off the storefront, back to draft or into the archive
+const unpublishProduct = async (product, { status = "draft" } = {}) => {
+  ensureNotDeleted(product);
+
+  product.status = status;
+  product.publishAt = null;
+  product.updatedAt = new Date();
+  return product.save();
+};
+
+const deleteProduct = async (product, deletedBy) => {
+  if (product.deletedAt) {
+    throw httpError(404, "Product not found");
+  }
+
+  product.deletedAt = new Date();
+  product.deletedBy = deletedBy;
+  product.updatedAt = new Date();
+  return product.save();
+};
+
+// Restored products come back as drafts so they are reviewed before going live
+const restoreProduct = async (product) => {
+  if (!product.deletedAt) {
+    throw httpError(409, "Product is not deleted");
+  }
+
+  product.deletedAt = null;
+  product.deletedBy = undefined;
+  product.status = "draft";
+  product.publishAt = null;
+  product.updatedAt = new Date();
+  return product.save();
+};
+
+module.exports = {
+  LIST_STATUSES,
+  storefrontFilter,
+  isOnStorefront,
+  effectiveStatus,
+  adminFilter,
+  publishProduct,
+  unpublishProduct,
+  deleteProduct,
+  restoreProduct
+};
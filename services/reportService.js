@@ -0,0 +1,194 @@
+const Order = require("../models/order");
+const { roundMoney } = require("../utils/money");
+
+// Orders that count as sales: paid orders (refunded ones included) that were
+// not cancelled. Unpaid and failed orders are left out. Refunds are reported
+// separately and subtracted from gross revenue to give net revenue.
+const SALES_MATCH = {
+  orderStatus: { $ne: "cancelled" },
+  paymentStatus: { $in: ["completed", "partially_refunded", "refunded"] }
+};
+
+const inRange = ({ from, to }) => ({ createdAt: { $gte: from, $lt: to } });
+
+// Buckets are cut in REPORT_TIMEZONE (default UTC)
+const timezone = () => process.env.REPORT_TIMEZONE || "UTC";
+
+const money = (row, fields) => {
+  for (const field of fields) row[field] = roundMoney(row[field] || 0);
+  return row;
+};
+
+const REVENUE_FIELDS = ["gross", "discounts", "shipping", "tax", "refunds", "net"];
+
+const revenueSums = {
+  orders: { $sum: 1 },
+  gross: { $sum: "$totalAmount" },
+  discounts: { $sum: { $ifNull: ["$discountTotal", 0] } },
+  shipping: { $sum: { $ifNull: ["$shippingTotal", 0] } },
+  tax: { $sum: { $ifNull: ["$taxTotal", 0] } },
+  refunds: { $sum: { $ifNull: ["$refundedTotal", 0] } }
+};
+
+// Revenue per day, week (starting Monday) or month. Periods without sales are left out.
+const revenueOverTime = async ({ from, to, interval }) => {
+  const rows = await Order.aggregate([
+    { $match: { ...SALES_MATCH, ...inRange({ from, to }) } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: "$createdAt", unit: interval, timezone: timezone(), startOfWeek: "monday" } },
+        ...revenueSums
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return rows.map(({ _id, ...row }) => money({ period: _id, ...row, net: row.gross - row.refunds }, REVENUE_FIELDS));
+};
+
+// Order counts (all orders, cancelled included) by status, payment method and payment status
+const orderBreakdown = async ({ from, to }) => {
+  const countBy = (field) => [
+    { $group: { _id: `$${field}`, orders: { $sum: 1 }, amount: { $sum: "$totalAmount" } } },
+    { $sort: { orders: -1, _id: 1 } }
+  ];
+
+  const [facets] = await Order.aggregate([
+    { $match: inRange({ from, to }) },
+    {
+      $facet: {
+        orderStatus: countBy("orderStatus"),
+        paymentMethod: countBy("paymentMethod"),
+        paymentStatus: countBy("paymentStatus")
+      }
+    }
+  ]);
+
+  const rows = (dimension) => facets[dimension].map(({ _id, orders, amount }) =>
+    ({ dimension, value: _id, orders, amount: roundMoney(amount) }));
+  return {
+    orderStatus: rows("orderStatus"),
+    paymentMethod: rows("paymentMethod"),
+    paymentStatus: rows("paymentStatus")
+  };
+};
+
+// Line revenue is the line subtotal after its coupon discount, before tax
+const lineRevenue = { $subtract: ["$items.subtotal", { $ifNull: ["$items.discount", 0] }] };
+
+const SORT_FIELDS = { units: "units", revenue: "revenue" };
+
+const topProducts = async ({ from, to, limit, sortBy }) => {
+  const rows = await Order.aggregate([
+    { $match: { ...SALES_MATCH, ...inRange({ from, to }) } },
+    { $unwind: "$items" },
+    {
+      $group: {
+        _id: "$items.productId",
+        name: { $last: "$items.productName" },
+        units: { $sum: "$items.quantity" },
+        revenue: { $sum: lineRevenue },
+        orders: { $addToSet: "$_id" }
+      }
+    },
+    { $sort: { [SORT_FIELDS[sortBy]]: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, productId: "$_id", name: 1, units: 1, revenue: 1, orders: { $size: "$orders" } } }
+  ]);
+
+  return rows.map(row => money(row, ["revenue"]));
+};
+
+// Sales grouped by the products' current category; products without one
+// (or deleted since) are grouped under a null category
+const topCategories = async ({ from, to, limit, sortBy }) => {
+  const rows = await Order.aggregate([
+    { $match: { ...SALES_MATCH, ...inRange({ from, to }) } },
+    { $unwind: "$items" },
+    { $lookup: { from: "products", localField: "items.productId", foreignField: "_id", as: "product" } },
+    {
+      $group: {
+        _id: { $ifNull: [{ $first: "$product.category" }, null] },
+        units: { $sum: "$items.quantity" },
+        revenue: { $sum: lineRevenue },
+        orders: { $addToSet: "$_id" }
+      }
+    },
+    { $sort: { [SORT_FIELDS[sortBy]]: -1, _id: 1 } },
+    { $limit: limit },
+    { $lookup: { from: "categories", localField: "_id", foreignField: "_id", as: "category" } },
+    {
+      $project: {
+        _id: 0,
+        categoryId: "$_id",
+        name: { $ifNull: [{ $first: "$category.name" }, "Uncategorized"] },
+        units: 1,
+        revenue: 1,
+        orders: { $size: "$orders" }
+      }
+    }
+  ]);
+
+  return rows.map(row => money(row, ["revenue"]));
+};
+
+// Totals, average order value (net revenue per order) and the repeat-customer
+// rate: the share of customers who ordered in the range and have at least two
+// sales orders up to its end (earlier ones included)
+const salesSummary = async ({ from, to }) => {
+  const [[totals], [customers]] = await Promise.all([
+    Order.aggregate([
+      { $match: { ...SALES_MATCH, ...inRange({ from, to }) } },
+      { $group: { _id: null, ...revenueSums, units: { $sum: { $sum: "$items.quantity" } } } }
+    ]),
+    Order.aggregate([
+      { $match: { ...SALES_MATCH, createdAt: { $lt: to } } },
+      {
+        $group: {
+          _id: "$userId",
+          orders: { $sum: 1 },
+          inRange: { $sum: { $cond: [{ $gte: ["$createdAt", from] }, 1, 0] } }
+        }
+      },
+      { $match: { inRange: { $gt: 0 } } },
+      {
+        $group: {
+          _id: null,
+          customers: { $sum: 1 },
+          repeatCustomers: { $sum: { $cond: [{ $gte: ["$orders", 2] }, 1, 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const orders = totals ? totals.orders : 0;
+  const gross = totals ? totals.gross : 0;
+  const refunds = totals ? totals.refunds : 0;
+  const customerCount = customers ? customers.customers : 0;
+  const repeatCustomers = customers ? customers.repeatCustomers : 0;
+
+  return money({
+    from,
+    to,
+    orders,
+    units: totals ? totals.units : 0,
+    gross,
+    discounts: totals ? totals.discounts : 0,
+    shipping: totals ? totals.shipping : 0,
+    tax: totals ? totals.tax : 0,
+    refunds,
+    net: gross - refunds,
+    averageOrderValue: orders ? (gross - refunds) / orders : 0,
+    customers: customerCount,
+    repeatCustomers,
+    repeatCustomerRate: customerCount ? Math.round((repeatCustomers / customerCount) * 1000) / 10 : 0
+  }, [...REVENUE_FIELDS, "averageOrderValue"]);
+};
+
+module.exports = {
+  revenueOverTime,
+  orderBreakdown,
+  topProducts,
+  topCategories,
+  salesSummary
+};
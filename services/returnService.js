@@ -0,0 +1,240 @@
+const Order = require("../models/order");
+const ReturnRequest = require("../models/returnRequest");
+const httpError = require("../utils/httpError");
+const { roundMoney } = require("../utils/money");
+const { hasPermission } = require("../config/permissions");
+const { transitionOrder } = require("./orderService");
+const { releaseStock } = require("./inventoryService");
+const { refundOrder } = require("./paymentService");
+
+// When the order was delivered (its last move to "delivered")
+const deliveredAt = (order) => {
+  const entry = [...order.statusHistory].reverse().find(change => change.to === "delivered");
+  return entry ? entry.changedAt : order.updatedAt;
+};
+
+// Units of each order line named by return requests in the given statuses
+const returnedQuantities = async (orderId, statuses) => {
+  const requests = await ReturnRequest.find({ orderId, status: { $in: statuses } }).select("items");
+  const quantities = new Map();
+  for (const request of requests) {
+    for (const item of request.items) {
+      const key = item.itemId.toString();
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    }
+  }
+  return quantities;
+};
+
+// What the customer paid for `quantity` units of an order line
+const paidFor = (line, quantity) =>
+  roundMoney(((line.subtotal - (line.discount || 0) + (line.tax || 0)) * quantity) / line.quantity);
+
+// Matches an order whose line `itemId` still has `quantity` units that are
+// not claimed by a return
+const returnable = ({ itemId, quantity }) => ({
+  $anyElementTrue: [{
+    $map: {
+      input: "$items",
+      as: "line",
+      in: {
+        $and: [
+          { $eq: ["$$line._id", itemId] },
+          { $lte: [{ $add: [{ $ifNull: ["$$line.returnedQuantity", 0] }, quantity] }, "$$line.quantity"] }
+        ]
+      }
+    }
+  }]
+});
+
+// Adds `sign` times the requested units to the lines' returnedQuantity,
+// optionally only where `where` holds. Resolves to whether the order matched.
+const updateReturned = async (orderId, items, sign, where = {}) => {
+  const result = await Order.updateOne(
+    { ...where, _id: orderId },
+    { $inc: Object.fromEntries(items.map((item, index) => [`items.$[line${index}].returnedQuantity`, sign * item.quantity])) },
+    { arrayFilters: items.map((item, index) => ({ [`line${index}._id`]: item.itemId })) }
+  );
+  return result.modifiedCount > 0;
+};
+
+const loadReturn = async (returnId) => {
+  const request = await ReturnRequest.findById(returnId);
+  if (!request) {
+    throw httpError(404, "Return request not found");
+  }
+  return request;
+};
+
+// Moves a request from one status to another, failing if a concurrent call
+// moved it first
+const advance = async (request, from, set) => {
+  if (request.status !== from) {
+    throw httpError(409, `Return request is ${request.status}, expected ${from}`);
+  }
+  const updated = await ReturnRequest.findOneAndUpdate(
+    { _id: request._id, status: from },
+    { $set: { ...set, updatedAt: new Date() } },
+    { new: true }
+  );
+  if (!updated) {
+    throw httpError(409, "Return request was changed by another request, please retry");
+  }
+  return updated;
+};
+
+// The owner asks to return some lines of a delivered, paid order within
+// RETURN_WINDOW_DAYS (default 30) of delivery
+const requestReturn = async (orderId, userId, { items, reason }) => {
+  const order = await Order.findById(orderId);
+  if (!order || order.userId.toString() !== userId) {
+    throw httpError(404, "Order not found");
+  }
+  if (order.orderStatus !== "delivered") {
+    throw httpError(409, "Only delivered orders can be returned");
+  }
+  // Returns end in a refund, so an order with nothing left to refund (never
+  // paid, or already refunded) cannot be returned through this flow
+  if (!["completed", "partially_refunded"].includes(order.paymentStatus)) {
+    throw httpError(409, `Cannot return an order whose payment is ${order.paymentStatus}`, { code: "NOT_REFUNDABLE" });
+  }
+
+  const windowDays = Number(process.env.RETURN_WINDOW_DAYS) || 30;
+  if (Date.now() - deliveredAt(order).getTime() > windowDays * 24 * 60 * 60 * 1000) {
+    throw httpError(409, `Returns are accepted up to ${windowDays} days after delivery`);
+  }
+
+  const lines = items.map(item => {
+    const line = order.items.id(item.itemId);
+    if (!line) {
+      throw httpError(400, `Item ${item.itemId} is not part of this order`);
+    }
+    const left = line.quantity - (line.returnedQuantity || 0);
+    if (item.quantity > left) {
+      throw httpError(400, `Only ${left} of ${line.productName || "this item"} can still be returned`);
+    }
+
+    return {
+      itemId: line._id,
+      productId: line.productId,
+      productName: line.productName,
+      variantId: line.variantId,
+      sku: line.sku,
+      quantity: item.quantity,
+      reason: item.reason || "",
+      refundAmount: paidFor(line, item.quantity)
+    };
+  });
+
+  // Claimed on the order in one conditional write, so concurrent requests
+  // cannot return the same units twice
+  const claimed = await updateReturned(order._id, lines, 1, {
+    orderStatus: "delivered",
+    $expr: { $and: lines.map(returnable) }
+  });
+  if (!claimed) {
+    throw httpError(409, "Items of this order were returned by another request, please retry");
+  }
+
+  try {
+    return await ReturnRequest.create({ orderId: order._id, userId, items: lines, reason });
+  } catch (error) {
+    await updateReturned(order._id, lines, -1);
+    throw error;
+  }
+};
+
+// Owners see their own requests, staff with orders:manage every request
+const getReturn = async (returnId, { userId, role }) => {
+  const request = await loadReturn(returnId);
+  if (request.userId.toString() !== userId && !hasPermission(role, "orders:manage")) {
+    throw httpError(404, "Return request not found");
+  }
+  return request;
+};
+
+const listReturns = async ({ userId, orderId, status, page, limit }) => {
+  const filter = {};
+  if (userId) filter.userId = userId;
+  if (orderId) filter.orderId = orderId;
+  if (status) filter.status = status;
+
+  const [returns, total] = await Promise.all([
+    ReturnRequest.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+    ReturnRequest.countDocuments(filter)
+  ]);
+
+  return {
+    returns,
+    pagination: { total, page, limit, totalPages: Math.ceil(total / limit) }
+  };
+};
+
+// A rejected request gives its units back, so they can be requested again
+const reviewReturn = async (returnId, reviewerId, { status, note = "" }) => {
+  const request = await advance(await loadReturn(returnId), "requested", {
+    status,
+    reviewedBy: reviewerId,
+    reviewedAt: new Date(),
+    reviewNote: note
+  });
+
+  if (status === "rejected") {
+    await updateReturned(request.orderId, request.items, -1);
+  }
+  return request;
+};
+
+// Records that the goods are back and puts them in stock again (unless
+// restock is false, e.g. damaged goods). Once every unit of the order has been
+// received back, the order itself becomes "returned".
+const receiveReturn = async (returnId, receiverId, { restock = true } = {}) => {
+  const request = await advance(await loadReturn(returnId), "approved", {
+    status: "received",
+    receivedBy: receiverId,
+    receivedAt: new Date(),
+    restocked: restock
+  });
+
+  if (restock) {
+    await releaseStock(request.items);
+  }
+
+  const order = await Order.findById(request.orderId);
+  const received = await returnedQuantities(order._id, ["received", "refunded"]);
+  const fullyReturned = order.items.every(line => (received.get(line._id.toString()) || 0) >= line.quantity);
+  if (fullyReturned && order.orderStatus === "delivered") {
+    await transitionOrder(order._id, "returned", { changedBy: receiverId, note: "All items returned" });
+  }
+
+  return request;
+};
+
+// Refunds a received return: by default what was paid for its lines
+const refundReturn = async (returnId, staffId, { amount, note = "" } = {}) => {
+  const request = await advance(await loadReturn(returnId), "received", { status: "refunded" });
+
+  try {
+    const { order, refund } = await refundOrder(request.orderId, {
+      amount: amount === undefined ? roundMoney(request.items.reduce((sum, item) => sum + item.refundAmount, 0)) : amount,
+      reason: note || `Return ${request._id}`,
+      returnId: request._id
+    }, staffId);
+
+    request.refundId = refund._id;
+    await request.save();
+    return { request, order, refund };
+  } catch (error) {
+    await ReturnRequest.updateOne({ _id: request._id, status: "refunded" }, { $set: { status: "received" } });
+    throw error;
+  }
+};
+
+module.exports = {
+  requestReturn,
+  getReturn,
+  listReturns,
+  reviewReturn,
+  receiveReturn,
+  refundReturn
+};
@@ -0,0 +1,258 @@
+const mongoose = require("mongoose");
+const Product = require("../models/product");
+const Review = require("../models/review");
+const ReviewVote = require("../models/reviewVote");
+const Order = require("../models/order");
+const httpError = require("../utils/httpError");
+const { hasPermission } = require("../config/permissions");
+const { storefrontFilter } = require("./productStatusService");
+
+const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+
+// Sort options accepted by GET /:productId/reviews
+const REVIEW_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1, _id: -1 },
+  rating_desc: { rating: -1, createdAt: -1, _id: -1 },
+  rating_asc: { rating: 1, createdAt: -1, _id: -1 }
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// Recomputes averageRating/totalReviews from the approved reviews. Run after
+// every change that can add, remove or re-rate an approved review.
+const refreshRating = async (productId) => {
+  const [stats] = await Review.aggregate([
+    { $match: { productId: toObjectId(productId), status: "approved" } },
+    { $group: { _id: null, count: { $sum: 1 }, average: { $avg: "$rating" } } }
+  ]);
+
+  return Product.findByIdAndUpdate(productId, {
+    averageRating: stats ? parseFloat(stats.average.toFixed(2)) : 0,
+    totalReviews: stats ? stats.count : 0
+  }, { new: true });
+};
+
+// Number of approved reviews per star, e.g. { 1: 0, 2: 1, 3: 0, 4: 5, 5: 12 }
+const ratingHistogram = async (productId) => {
+  const counts = await Review.aggregate([
+    { $match: { productId: toObjectId(productId), status: "approved" } },
+    { $group: { _id: "$rating", count: { $sum: 1 } } }
+  ]);
+
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  for (const { _id, count } of counts) {
+    histogram[_id] = count;
+  }
+  return histogram;
+};
+
+const hasDeliveredOrder = async (userId, productId) =>
+  !!(await Order.exists({ userId, orderStatus: "delivered", "items.productId": productId }));
+
+const serializeReview = (review) => ({
+  id: review._id,
+  productId: review.productId,
+  userId: review.userId,
+  userName: review.userName,
+  rating: review.rating,
+  comment: review.comment,
+  verifiedPurchase: !!review.verifiedPurchase,
+  helpfulCount: review.helpfulCount || 0,
+  createdAt: review.createdAt,
+  updatedAt: review.updatedAt
+});
+
+// Adds the moderation fields staff and authors get to see
+const serializeForModeration = (review) => ({
+  ...serializeReview(review),
+  status: review.status,
+  moderatedBy: review.moderatedBy,
+  moderatedAt: review.moderatedAt,
+  moderationNote: review.moderationNote
+});
+
+const loadReview = async (productId, reviewId) => {
+  const review = await Review.findOne({ _id: reviewId, productId });
+  if (!review) {
+    throw httpError(404, "Review not found");
+  }
+  return review;
+};
+
+const findStorefrontProduct = async (productId) => {
+  const product = await Product.findOne({ _id: productId, ...storefrontFilter() })
+    .select("name averageRating totalReviews");
+  if (!product) {
+    throw httpError(404, "Product not found");
+  }
+  return product;
+};
+
+// Approved reviews of a storefront product, one page at a time
+const listProductReviews = async (productId, { sort, rating, page, limit }) => {
+  const product = await findStorefrontProduct(productId);
+  const filter = { productId: product._id, status: "approved" };
+  if (rating !== undefined) filter.rating = rating;
+
+  const [reviews, total, histogram] = await Promise.all([
+    Review.find(filter).sort(REVIEW_SORTS[sort]).skip((page - 1) * limit).limit(limit),
+    Review.countDocuments(filter),
+    ratingHistogram(product._id)
+  ]);
+
+  return {
+    product,
+    histogram,
+    reviews: reviews.map(serializeReview),
+    pagination: { total, page, limit, totalPages: Math.ceil(total / limit) }
+  };
+};
+
+// One review per user and product (enforced by a unique index), only for
+// products on the storefront. The review waits for moderation.
+const createReview = async (productId, user, { rating, comment }) => {
+  const product = await findStorefrontProduct(productId);
+
+  try {
+    return await Review.create({
+      productId: product._id,
+      userId: user._id,
+      userName: user.name,
+      rating,
+      comment,
+      verifiedPurchase: await hasDeliveredOrder(user._id, product._id)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError(409, "You have already reviewed this product", { code: "ALREADY_REVIEWED" });
+    }
+    throw error;
+  }
+};
+
+// Authors can edit their own review; the edit goes back to moderation
+const updateReview = async (productId, reviewId, userId, changes) => {
+  const review = await loadReview(productId, reviewId);
+  if (review.userId.toString() !== userId.toString()) {
+    throw httpError(403, "You can only edit your own review");
+  }
+
+  const wasApproved = review.status === "approved";
+  Object.assign(review, changes, {
+    status: "pending",
+    verifiedPurchase: await hasDeliveredOrder(userId, productId),
+    moderatedBy: undefined,
+    moderatedAt: undefined,
+    moderationNote: undefined,
+    updatedAt: new Date()
+  });
+  await review.save();
+
+  if (wasApproved) await refreshRating(productId);
+  return review;
+};
+
+// Authors can delete their own review, moderators any review
+const deleteReview = async (productId, reviewId, { userId, role }) => {
+  const review = await loadReview(productId, reviewId);
+  if (review.userId.toString() !== userId.toString() && !hasPermission(role, "reviews:moderate")) {
+    throw httpError(403, "You can only delete your own review");
+  }
+
+  await review.deleteOne();
+  await ReviewVote.deleteMany({ reviewId: review._id });
+  if (review.status === "approved") await refreshRating(productId);
+  return review;
+};
+
+const moderateReview = async (reviewId, moderatorId, { status, note }) => {
+  const review = await Review.findById(reviewId);
+  if (!review) {
+    throw httpError(404, "Review not found");
+  }
+
+  const ratingChanges = (review.status === "approved") !== (status === "approved");
+  Object.assign(review, {
+    status,
+    moderatedBy: moderatorId,
+    moderatedAt: new Date(),
+    moderationNote: note
+  });
+  await review.save();
+
+  if (ratingChanges) await refreshRating(review.productId);
+  return review;
+};
+
+// Moderation queue: reviews in one status across all products, oldest first
+const listForModeration = async ({ status, page, limit }) => {
+  const filter = { status };
+
+  const [reviews, total] = await Promise.all([
+    Review.find(filter)
+      .sort({ createdAt: 1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("userId", "name email")
+      .populate("productId", "name"),
+    Review.countDocuments(filter)
+  ]);
+
+  return {
+    reviews: reviews.map(serializeForModeration),
+    pagination: { total, page, limit, totalPages: Math.ceil(total / limit) }
+  };
+};
+
+const loadVotableReview = async (productId, reviewId, userId) => {
+  const review = await loadReview(productId, reviewId);
+  if (review.status !== "approved") {
+    throw httpError(404, "Review not found");
+  }
+  if (review.userId.toString() === userId.toString()) {
+    throw httpError(400, "You cannot vote on your own review");
+  }
+  return review;
+};
+
+// Each user counts once per review; voting twice leaves the count unchanged
+const voteHelpful = async (productId, reviewId, userId) => {
+  const review = await loadVotableReview(productId, reviewId, userId);
+
+  try {
+    await ReviewVote.create({ reviewId: review._id, userId });
+  } catch (error) {
+    if (error.code === 11000) return review.helpfulCount;
+    throw error;
+  }
+
+  const updated = await Review.findByIdAndUpdate(review._id, { $inc: { helpfulCount: 1 } }, { new: true });
+  return updated.helpfulCount;
+};
+
+const removeHelpfulVote = async (productId, reviewId, userId) => {
+  const review = await loadVotableReview(productId, reviewId, userId);
+
+  const vote = await ReviewVote.findOneAndDelete({ reviewId: review._id, userId });
+  if (!vote) return review.helpfulCount;
+
+  const updated = await Review.findByIdAndUpdate(review._id, { $inc: { helpfulCount: -1 } }, { new: true });
+  return updated.helpfulCount;
+};
+
+module.exports = {
+  REVIEW_STATUSES,
+  REVIEW_SORTS,
+  refreshRating,
+  serializeReview,
+  serializeForModeration,
+  listProductReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  moderateReview,
+  listForModeration,
+  voteHelpful,
+  removeHelpfulVote
+};
@@ -0,0 +1,299 @@
+const crypto = require("crypto");
+const Order = require("../models/order");
+const Shipment = require("../models/shipment");
+const httpError = require("../utils/httpError");
+const { hasPermission } = require("../config/permissions");
+const { transitionOrder } = require("./orderService");
+
+// Orders get shipments once confirmed and until everything is delivered
+const SHIPPABLE = ["confirmed", "processing", "shipped"];
+
+// Order statuses passed on the way to the one a shipment implies, so a
+// confirmed order whose first package is in transit goes through processing
+const FULFILMENT_PATH = ["confirmed", "processing", "shipped", "delivered"];
+
+// Shipment statuses meaning the package has left the warehouse
+const MOVING = ["in_transit", "out_for_delivery", "delivered"];
+
+const latestEvent = (events) =>
+  events.reduce((latest, event) => (!latest || event.occurredAt >= latest.occurredAt ? event : latest), null);
+
+// Units of each order line already in a shipment, or (with `statuses`) in one of those statuses
+const shippedQuantities = (shipments, statuses) => {
+  const quantities = new Map();
+  for (const shipment of shipments) {
+    if (statuses && !statuses.includes(shipment.status)) continue;
+    for (const item of shipment.items) {
+      const key = item.itemId.toString();
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    }
+  }
+  return quantities;
+};
+
+// Refreshes the order's deliveryTracking summary from its shipments and moves
+// the order to shipped (a package is moving) or delivered (every unit arrived)
+const syncOrder = async (orderId, changedBy) => {
+  const order = await Order.findById(orderId);
+  const shipments = await Shipment.find({ orderId });
+
+  const latest = latestEvent(shipments.flatMap(shipment => shipment.events.map(event => ({
+    status: event.status,
+    location: event.location,
+    occurredAt: event.occurredAt,
+    estimatedDelivery: shipment.estimatedDelivery
+  }))));
+  if (latest) {
+    await Order.updateOne({ _id: order._id }, {
+      $set: {
+        "deliveryTracking.status": latest.status,
+        "deliveryTracking.location": latest.location,
+        "deliveryTracking.estimatedDelivery": latest.estimatedDelivery,
+        "deliveryTracking.updatedAt": new Date()
+      }
+    });
+  }
+
+  const delivered = shippedQuantities(shipments, ["delivered"]);
+  const allDelivered = order.items.every(line => (delivered.get(line._id.toString()) || 0) >= line.quantity);
+  const target = allDelivered ? "delivered" : shipments.some(shipment => MOVING.includes(shipment.status)) ? "shipped" : null;
+
+  let current = FULFILMENT_PATH.indexOf(order.orderStatus);
+  if (!target || current === -1) return;
+
+  const note = latest ? `Tracking update: ${latest.status}` : "";
+  while (current < FULFILMENT_PATH.indexOf(target)) {
+    current += 1;
+    try {
+      await transitionOrder(order._id, FULFILMENT_PATH[current], { changedBy, note });
+    } catch (error) {
+      // Changed (e.g. cancelled) by another request meanwhile
+      if (error.status !== 409) throw error;
+      return;
+    }
+  }
+};
+
+// Appends a tracking event unless the same status at the same time was already
+// recorded (carrier feeds resend events). The shipment's status follows the
+// latest event by occurredAt, so late-arriving old events do not move it back.
+const recordEvent = async (shipment, { status, location = "", description = "", occurredAt = new Date(), estimatedDelivery }, { source = "manual", recordedBy } = {}) => {
+  const updated = await Shipment.findOneAndUpdate(
+    { _id: shipment._id, events: { $not: { $elemMatch: { status, occurredAt } } } },
+    {
+      $push: { events: { status, location, description, occurredAt, source, recordedBy, recordedAt: new Date() } },
+      $set: { updatedAt: new Date() }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    return { shipment, duplicate: true };
+  }
+
+  const latest = latestEvent(updated.events);
+  updated.status = latest.status;
+  if (latest.status === "delivered") updated.deliveredAt = latest.occurredAt;
+  if (estimatedDelivery) updated.estimatedDelivery = estimatedDelivery;
+  await updated.save();
+
+  await syncOrder(updated.orderId, recordedBy);
+  return { shipment: updated, duplicate: false };
+};
+
+// Puts some (by default all not yet shipped) lines of an order in a new package
+const createShipment = async (orderId, { carrier, trackingNumber, items, estimatedDelivery }, createdBy) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw httpError(404, "Order not found");
+  }
+  if (!SHIPPABLE.includes(order.orderStatus)) {
+    throw httpError(409, `Cannot ship a ${order.orderStatus} order`);
+  }
+
+  const shipped = shippedQuantities(await Shipment.find({ orderId: order._id }));
+  const remaining = (line) => line.quantity - (shipped.get(line._id.toString()) || 0);
+
+  const requested = items || order.items
+    .filter(line => remaining(line) > 0)
+    .map(line => ({ itemId: line._id, quantity: remaining(line) }));
+  if (requested.length === 0) {
+    throw httpError(409, "Every item of this order is already in a shipment");
+  }
+
+  const lines = requested.map(item => {
+    const line = order.items.id(item.itemId);
+    if (!line) {
+      throw httpError(400, `Item ${item.itemId} is not part of this order`);
+    }
+    if (item.quantity > remaining(line)) {
+      throw httpError(400, `Only ${remaining(line)} of ${line.productName || "this item"} are left to ship`);
+    }
+    return { itemId: line._id, productId: line.productId, productName: line.productName, quantity: item.quantity };
+  });
+
+  const now = new Date();
+  const shipment = await Shipment.create({
+    orderId: order._id,
+    carrier,
+    trackingNumber,
+    items: lines,
+    estimatedDelivery,
+    events: [{ status: "label_created", occurredAt: now, source: "manual", recordedBy: createdBy, recordedAt: now }],
+    createdBy
+  });
+
+  await syncOrder(order._id, createdBy);
+  return shipment;
+};
+
+const findShipment = async (shipmentId) => {
+  const shipment = await Shipment.findById(shipmentId);
+  if (!shipment) {
+    throw httpError(404, "Shipment not found");
+  }
+  return shipment;
+};
+
+const addEvent = async (shipmentId, event, recordedBy) => {
+  const { shipment, duplicate } = await recordEvent(await findShipment(shipmentId), event, { source: "manual", recordedBy });
+  if (duplicate) {
+    throw httpError(409, "This event was already recorded");
+  }
+  return shipment;
+};
+
+// Applies carrier feed events ({ carrier, trackingNumber, status, ... }) one by
+// one. Every event gets a result, so one bad row does not fail the feed: a
+// row that throws is reported as an error and the next one is applied.
+const ingestEvents = async (events, recordedBy) => {
+  const results = [];
+  for (const { row, carrier, trackingNumber, ...event } of events) {
+    try {
+      const shipment = await Shipment.findOne({ carrier: carrier.toLowerCase(), trackingNumber });
+      if (!shipment) {
+        results.push({ row, trackingNumber, result: "error", message: "Unknown shipment" });
+        continue;
+      }
+      const { duplicate } = await recordEvent(shipment, event, { source: "feed", recordedBy });
+      results.push({ row, trackingNumber, result: duplicate ? "duplicate" : "applied" });
+    } catch (error) {
+      if (!error.status) {
+        console.error(`Carrier feed row ${row} failed:`, error);
+      }
+      results.push({ row, trackingNumber, result: "error", message: error.status ? error.message : "Could not apply this event" });
+    }
+  }
+  return results;
+};
+
+// Tracking number for shipments without a carrier. Random, as it is enough
+// to look the shipment up publicly.
+const manualTrackingNumber = () => `MAN-${crypto.randomBytes(6).toString("hex").toUpperCase()}`;
+
+// Legacy single-status tracking (POST /delivery-tracking): the update goes to
+// the order's latest shipment, which is created without a carrier if the
+// order has none yet
+const updateDeliveryTracking = async (orderId, { status, location, estimatedDelivery }, changedBy) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw httpError(404, "Order not found");
+  }
+  if (["cancelled", "returned"].includes(order.orderStatus)) {
+    throw httpError(409, `Cannot update tracking for a ${order.orderStatus} order`);
+  }
+
+  let shipment = await Shipment.findOne({ orderId: order._id }).sort({ createdAt: -1 });
+  if (!shipment) {
+    shipment = await createShipment(order._id, { carrier: "manual", trackingNumber: manualTrackingNumber(), estimatedDelivery }, changedBy);
+  }
+
+  await recordEvent(shipment, {
+    status: status === "not_shipped" ? "label_created" : status,
+    location,
+    estimatedDelivery
+  }, { source: "manual", recordedBy: changedBy });
+
+  return Order.findById(order._id);
+};
+
+const serializeEvent = (event) => ({
+  status: event.status,
+  location: event.location,
+  description: event.description,
+  occurredAt: event.occurredAt
+});
+
+const byTime = (a, b) => a.occurredAt - b.occurredAt;
+
+const serializeShipment = (shipment) => ({
+  shipmentId: shipment._id,
+  carrier: shipment.carrier,
+  trackingNumber: shipment.trackingNumber,
+  status: shipment.status,
+  estimatedDelivery: shipment.estimatedDelivery,
+  deliveredAt: shipment.deliveredAt,
+  items: shipment.items,
+  events: shipment.events.map(serializeEvent).sort(byTime)
+});
+
+// The order's status changes and every shipment event, oldest first
+const getTimeline = async (orderId, { userId, role }) => {
+  const order = await Order.findById(orderId);
+  if (!order || (order.userId.toString() !== userId && !hasPermission(role, "orders:manage"))) {
+    throw httpError(404, "Order not found");
+  }
+
+  const shipments = await Shipment.find({ orderId: order._id }).sort({ createdAt: 1 });
+  const timeline = [
+    ...order.statusHistory.map(change => ({
+      type: "order",
+      status: change.to,
+      note: change.note,
+      occurredAt: change.changedAt
+    })),
+    ...shipments.flatMap(shipment => shipment.events.map(event => ({
+      type: "shipment",
+      shipmentId: shipment._id,
+      carrier: shipment.carrier,
+      trackingNumber: shipment.trackingNumber,
+      ...serializeEvent(event)
+    })))
+  ].sort(byTime);
+
+  return {
+    orderId: order._id,
+    orderStatus: order.orderStatus,
+    shipments: shipments.map(serializeShipment),
+    timeline
+  };
+};
+
+// Public lookup by tracking number: carrier events only, nothing about the
+// order or the customer
+const trackShipment = async (trackingNumber, carrier) => {
+  const filter = carrier ? { trackingNumber, carrier: carrier.toLowerCase() } : { trackingNumber };
+  const shipments = await Shipment.find(filter);
+  if (shipments.length === 0) {
+    throw httpError(404, "No shipment found for this tracking number");
+  }
+
+  return shipments.map(shipment => ({
+    carrier: shipment.carrier,
+    trackingNumber: shipment.trackingNumber,
+    status: shipment.status,
+    estimatedDelivery: shipment.estimatedDelivery,
+    deliveredAt: shipment.deliveredAt,
+    itemCount: shipment.items.reduce((sum, item) => sum + item.quantity, 0),
+    events: shipment.events.map(serializeEvent).sort(byTime)
+  }));
+};
+
+module.exports = {
+  createShipment,
+  findShipment,
+  addEvent,
+  ingestEvents,
+  updateDeliveryTracking,
+  getTimeline,
+  trackShipment
+};
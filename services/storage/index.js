@@ -0,0 +1,33 @@
+const createLocalStorage = require("./localStorage");
+const createS3Storage = require("./s3Storage");
+
+// Storage backends share one interface:
+//   put(key, buffer, contentType) -> public URL, remove(key), urlFor(key)
+// STORAGE_DRIVER picks one: "local" (default) or "s3".
+const DRIVERS = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+let storage;
+
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || "local";
+    if (!DRIVERS[driver]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+    }
+    storage = DRIVERS[driver]();
+  }
+  return storage;
+};
+
+// Lets tests or scripts swap in another backend
+const setStorage = (custom) => {
+  storage = custom;
+};
+
+module.exports = {
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,37 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Files on local disk, served by express.static under `baseUrl` (see index.js)
+const createLocalStorage = ({
+  root = process.env.UPLOAD_DIR || path.join(__dirname, "../../uploads"),
+  baseUrl = process.env.UPLOAD_BASE_URL || "/uploads"
+} = {}) => {
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    root,
+
+    async put(key, buffer) {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return this.urlFor(key);
+    },
+
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true });
+    },
+
+    urlFor(key) {
+      return `${baseUrl.replace(/\/$/, "")}/${key}`;
+    }
+  };
+};
+
+module.exports = createLocalStorage;
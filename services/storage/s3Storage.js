@@ -0,0 +1,41 @@
+// Any S3-compatible object store. For local development and tests point it at
+// a stand-in such as MinIO:
+//   STORAGE_DRIVER=s3 S3_BUCKET=media S3_ENDPOINT=http://localhost:9000 S3_FORCE_PATH_STYLE=true
+// Credentials come from the usual AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY.
+const createS3Storage = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || "us-east-1",
+  endpoint = process.env.S3_ENDPOINT,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === "true",
+  publicUrl = process.env.S3_PUBLIC_URL,
+  client
+} = {}) => {
+  if (!bucket) {
+    throw new Error("S3_BUCKET must be set to use the s3 storage driver");
+  }
+
+  // Required lazily so the SDK is only loaded when this driver is used
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
+  const s3 = client || new S3Client({ region, endpoint, forcePathStyle });
+
+  const baseUrl = publicUrl || (endpoint
+    ? `${endpoint.replace(/\/$/, "")}/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+  return {
+    async put(key, buffer, contentType) {
+      await s3.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+      return this.urlFor(key);
+    },
+
+    async remove(key) {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    urlFor(key) {
+      return `${baseUrl.replace(/\/$/, "")}/${key}`;
+    }
+  };
+};
+
+module.exports = createS3Storage;
@@ -0,0 +1,116 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/user");
+const RefreshToken = require("../models/refreshToken");
+const httpError = require("../utils/httpError");
+
+const ACCESS_TOKEN_TTL = "1h";
+// Read when a token is issued: dotenv is loaded after this module
+const refreshTokenTtlDays = () => Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const signAccessToken = (user) => jwt.sign(
+  { id: user._id, role: user.role, tokenVersion: user.tokenVersion || 0 },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+// Only the hash of a refresh token is stored
+const storeRefreshToken = (userId, token, family) => RefreshToken.create({
+  userId,
+  tokenHash: hashToken(token),
+  family,
+  expiresAt: new Date(Date.now() + refreshTokenTtlDays() * 24 * 60 * 60 * 1000)
+});
+
+// Access + refresh token pair for a freshly logged-in user (starts a new family)
+const issueTokens = async (user) => {
+  const refreshToken = generateRefreshToken();
+  await storeRefreshToken(user._id, refreshToken, crypto.randomUUID());
+
+  return {
+    token: signAccessToken(user),
+    refreshToken
+  };
+};
+
+const revokeFamily = (family) =>
+  RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+
+// Exchanges a refresh token for a new pair. The old token is revoked; presenting
+// it again means it was copied, so the whole family is revoked.
+const rotateRefreshToken = async (rawToken) => {
+  const tokenHash = hashToken(rawToken);
+  const record = await RefreshToken.findOne({ tokenHash });
+
+  if (!record) {
+    throw httpError(401, "Invalid refresh token");
+  }
+
+  if (record.revokedAt) {
+    await revokeFamily(record.family);
+    throw httpError(401, "Refresh token reuse detected, please login again");
+  }
+
+  if (record.expiresAt < new Date()) {
+    throw httpError(401, "Refresh token expired");
+  }
+
+  const user = await User.findById(record.userId);
+  if (!user) {
+    await revokeFamily(record.family);
+    throw httpError(401, "Invalid refresh token");
+  }
+
+  const refreshToken = generateRefreshToken();
+
+  // Only one concurrent rotation of the same token may win
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: record._id, revokedAt: null },
+    { revokedAt: new Date(), replacedByHash: hashToken(refreshToken) }
+  );
+  if (!claimed) {
+    await revokeFamily(record.family);
+    throw httpError(401, "Refresh token reuse detected, please login again");
+  }
+
+  await storeRefreshToken(user._id, refreshToken, record.family);
+
+  return {
+    token: signAccessToken(user),
+    refreshToken,
+    role: user.role
+  };
+};
+
+// Logout: revokes the session the refresh token belongs to
+const revokeRefreshToken = async (rawToken) => {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(rawToken) });
+  if (record) {
+    await revokeFamily(record.family);
+  }
+};
+
+// Kills every session of a user: refresh tokens are revoked and the bumped
+// tokenVersion makes authMiddleware reject access tokens already issued
+const revokeAllForUser = async (userId) => {
+  const user = await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }, { new: true });
+  if (!user) {
+    throw httpError(404, "User not found");
+  }
+
+  await RefreshToken.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+  return user;
+};
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllForUser
+};
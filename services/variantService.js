@@ -0,0 +1,148 @@
+const Product = require("../models/product");
+const httpError = require("../utils/httpError");
+
+// Checks that a variant picks exactly one listed value for every option
+const validateAttributes = (options, attributes = {}) => {
+  const names = options.map(option => option.name);
+  const extra = Object.keys(attributes).filter(key => !names.includes(key));
+  if (extra.length) {
+    throw httpError(400, `Unknown option(s): ${extra.join(", ")}`);
+  }
+
+  for (const option of options) {
+    const value = attributes[option.name];
+    if (!option.values.includes(value)) {
+      throw httpError(400, `${option.name} must be one of: ${option.values.join(", ")}`);
+    }
+  }
+};
+
+const attributesKey = (options, attributes) =>
+  options.map(option => `${option.name}=${attributes instanceof Map ? attributes.get(option.name) : attributes[option.name]}`).join("|");
+
+const ensureUniqueVariant = async (product, { sku, attributes }, exceptId) => {
+  const others = product.variants.filter(v => !exceptId || v._id.toString() !== exceptId.toString());
+
+  if (sku !== undefined && (others.some(v => v.sku === sku) ||
+    await Product.exists({ _id: { $ne: product._id }, "variants.sku": sku }))) {
+    throw httpError(409, `SKU ${sku} is already used`);
+  }
+
+  if (attributes !== undefined) {
+    const key = attributesKey(product.options, attributes);
+    if (others.some(v => attributesKey(product.options, v.attributes) === key)) {
+      throw httpError(409, "A variant with these options already exists");
+    }
+  }
+};
+
+const lowestPrice = (variants) => Math.min(...variants.map(v => v.price));
+
+// Replaces the option definitions. Existing variants must still fit them.
+const setOptions = async (product, options) => {
+  for (const variant of product.variants) {
+    try {
+      validateAttributes(options, Object.fromEntries(variant.attributes));
+    } catch (error) {
+      throw httpError(409, `Variant ${variant.sku} does not fit the new options: ${error.message}`);
+    }
+  }
+
+  product.options = options;
+  product.updatedAt = new Date();
+  return product.save();
+};
+
+// Adds a SKU. The first variant replaces the product's own price and stock;
+// later ones add to the stock total and may lower the price.
+const addVariant = async (product, variant) => {
+  if (!product.options.length) {
+    throw httpError(400, "Define the product's options before adding variants");
+  }
+  validateAttributes(product.options, variant.attributes);
+  await ensureUniqueVariant(product, variant);
+
+  const updated = product.variants.length
+    ? await Product.findOneAndUpdate(
+      { _id: product._id },
+      { $push: { variants: variant }, $inc: { stock: variant.stock }, $min: { price: variant.price }, $set: { updatedAt: new Date() } },
+      { new: true, runValidators: true }
+    )
+    : await Product.findOneAndUpdate(
+      { _id: product._id, "variants.0": { $exists: false } },
+      { $push: { variants: variant }, $set: { stock: variant.stock, price: variant.price, updatedAt: new Date() } },
+      { new: true, runValidators: true }
+    );
+
+  if (!updated) {
+    throw httpError(409, "Product was changed by another request, please retry");
+  }
+  return updated;
+};
+
+const findVariant = (product, variantId) => {
+  const variant = product.variants.id(variantId);
+  if (!variant) {
+    throw httpError(404, "Variant not found");
+  }
+  return variant;
+};
+
+// Stock edits only apply if the stock is still what was read, so a concurrent
+// order reservation is never overwritten
+const updateVariant = async (product, variantId, changes) => {
+  const variant = findVariant(product, variantId);
+  if (changes.attributes !== undefined) {
+    validateAttributes(product.options, changes.attributes);
+  }
+  await ensureUniqueVariant(product, changes, variant._id);
+
+  const set = { updatedAt: new Date() };
+  for (const field of ["sku", "attributes", "price", "stock", "weight"]) {
+    if (changes[field] !== undefined) set[`variants.$.${field}`] = changes[field];
+  }
+  if (changes.price !== undefined) {
+    set.price = lowestPrice(product.variants.map(v => (v._id.equals(variant._id) ? { price: changes.price } : v)));
+  }
+
+  const update = { $set: set };
+  if (changes.stock !== undefined) {
+    update.$inc = { stock: changes.stock - variant.stock };
+  }
+
+  const updated = await Product.findOneAndUpdate(
+    { _id: product._id, variants: { $elemMatch: { _id: variant._id, stock: variant.stock } } },
+    update,
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    throw httpError(409, "Variant stock changed while editing, please retry");
+  }
+  return updated;
+};
+
+const deleteVariant = async (product, variantId) => {
+  const variant = findVariant(product, variantId);
+  const remaining = product.variants.filter(v => !v._id.equals(variant._id));
+
+  const updated = await Product.findOneAndUpdate(
+    { _id: product._id, variants: { $elemMatch: { _id: variant._id, stock: variant.stock } } },
+    {
+      $pull: { variants: { _id: variant._id } },
+      $inc: { stock: -variant.stock },
+      $set: remaining.length ? { price: lowestPrice(remaining), updatedAt: new Date() } : { updatedAt: new Date() }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw httpError(409, "Variant stock changed while editing, please retry");
+  }
+  return updated;
+};
+
+module.exports = {
+  setOptions,
+  addVariant,
+  updateVariant,
+  deleteVariant
+};
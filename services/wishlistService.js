@@ -0,0 +1,172 @@
+const Product = require("../models/product");
+const User = require("../models/user");
+const httpError = require("../utils/httpError");
+const cartService = require("./cartService");
+const { lineKey } = require("./inventoryService");
+const { isOnStorefront } = require("./productStatusService");
+const { primaryImage } = require("./imageService");
+
+const WISHLIST_PRODUCT_FIELDS = "name price category stock variants images status publishAt deletedAt";
+
+const loadUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw httpError(404, "User not found");
+  }
+  return user;
+};
+
+// The saved entry for a product. An entry saved without a variant also
+// matches when a variant is named, so a variant can be picked when moving it
+// to the cart.
+const findEntry = (user, productId, variantId) => {
+  const matches = (entry, id) => entry.productId && lineKey(entry.productId, entry.variantId) === lineKey(productId, id);
+  return user.wishlist.find(entry => matches(entry, variantId)) ||
+    (variantId ? user.wishlist.find(entry => matches(entry, null)) : undefined);
+};
+
+// Turns a wishlist populated with "wishlist.productId" into entries showing
+// the current price and stock next to what they were when saved
+const summarizeWishlist = (wishlist) => {
+  const items = wishlist.map(entry => {
+    const product = entry.productId;
+    const variant = product && product.variants && entry.variantId ? product.variants.id(entry.variantId) : null;
+
+    if (!product || !product._id || !isOnStorefront(product) || (entry.variantId && !variant)) {
+      return {
+        productId: product && product._id ? product._id : product || null,
+        name: product && product.name,
+        variantId: entry.variantId,
+        savedPrice: entry.savedPrice,
+        status: "unavailable",
+        addedAt: entry.addedAt
+      };
+    }
+
+    const price = variant ? variant.price : product.price;
+    const stock = variant ? variant.stock : product.stock;
+    const drop = entry.savedPrice !== undefined && entry.savedPrice !== null ? entry.savedPrice - price : 0;
+
+    return {
+      productId: product._id,
+      name: product.name,
+      variantId: variant ? variant._id : undefined,
+      sku: variant ? variant.sku : undefined,
+      attributes: variant ? Object.fromEntries(variant.attributes) : undefined,
+      hasVariants: product.variants.length > 0,
+      primaryImage: primaryImage(product),
+      category: product.category,
+      price,
+      savedPrice: entry.savedPrice,
+      priceDrop: drop > 0
+        ? { amount: parseFloat(drop.toFixed(2)), percent: parseFloat(((drop / entry.savedPrice) * 100).toFixed(1)) }
+        : null,
+      availableStock: stock,
+      status: stock > 0 ? "in_stock" : "out_of_stock",
+      backInStock: entry.savedInStock === false && stock > 0,
+      addedAt: entry.addedAt
+    };
+  });
+
+  return {
+    items,
+    itemCount: items.length,
+    priceDropCount: items.filter(item => item.priceDrop).length,
+    backInStockCount: items.filter(item => item.backInStock).length
+  };
+};
+
+const getWishlist = async (userId) => {
+  const user = await User.findById(userId).select("wishlist").populate("wishlist.productId", WISHLIST_PRODUCT_FIELDS);
+  if (!user) {
+    throw httpError(404, "User not found");
+  }
+  return summarizeWishlist(user.wishlist);
+};
+
+// Saving a product again keeps the original entry, so its price drop is
+// still measured from the first save. Products with variants can be saved
+// with or without choosing one.
+const addEntry = async (user, productId, variantId) => {
+  const product = await Product.findById(productId);
+  if (!product || !isOnStorefront(product)) {
+    throw httpError(404, "Product not found");
+  }
+
+  let variant = null;
+  if (variantId) {
+    if (!product.variants.length) {
+      throw httpError(400, `${product.name} has no variants`);
+    }
+    variant = product.variants.id(variantId);
+    if (!variant) {
+      throw httpError(404, "Variant not found");
+    }
+  }
+
+  const exists = user.wishlist.some(entry =>
+    entry.productId && lineKey(entry.productId, entry.variantId) === lineKey(product._id, variantId));
+  if (exists) return;
+
+  user.wishlist.push({
+    productId: product._id,
+    variantId: variant ? variant._id : undefined,
+    savedPrice: variant ? variant.price : product.price,
+    savedInStock: (variant ? variant.stock : product.stock) > 0
+  });
+  user.updatedAt = new Date();
+  await user.save();
+};
+
+const addItem = async (userId, productId, variantId) => {
+  await addEntry(await loadUser(userId), productId, variantId);
+  return getWishlist(userId);
+};
+
+// Without a variantId every saved variant of the product is removed
+const removeItem = async (userId, productId, variantId) => {
+  const condition = variantId ? { productId, variantId } : { productId };
+  const user = await User.findByIdAndUpdate(userId, { $pull: { wishlist: condition } });
+  if (!user) {
+    throw httpError(404, "User not found");
+  }
+  return getWishlist(userId);
+};
+
+// Adds a saved product to the cart (same stock checks as /cart/add) and
+// takes it off the wishlist
+const moveToCart = async (userId, productId, { variantId, quantity }) => {
+  const user = await loadUser(userId);
+  const entry = findEntry(user, productId, variantId);
+  if (!entry) {
+    throw httpError(404, "Product is not in the wishlist");
+  }
+
+  const cart = await cartService.addItem({ userId }, productId, quantity, variantId || entry.variantId);
+  await User.updateOne({ _id: userId }, { $pull: { wishlist: { _id: entry._id } } });
+
+  return { cart, wishlist: await getWishlist(userId) };
+};
+
+// Moves a cart line to the wishlist ("save for later")
+const saveForLater = async (userId, productId, variantId) => {
+  const user = await loadUser(userId);
+  const line = user.cart.find(item =>
+    item.productId && lineKey(item.productId, item.variantId) === lineKey(productId, variantId));
+  if (!line) {
+    throw httpError(404, "Product is not in the cart");
+  }
+
+  await addEntry(user, productId, line.variantId);
+  const cart = await cartService.removeItem({ userId }, productId, line.variantId);
+
+  return { cart, wishlist: await getWishlist(userId) };
+};
+
+module.exports = {
+  getWishlist,
+  addItem,
+  removeItem,
+  moveToCart,
+  saveForLater
+};
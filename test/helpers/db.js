@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// A throwaway database for a test file. Two ways to get one:
+//   TEST_MONGODB_URI=mongodb://localhost:27017  an already running server; every
+//     test file gets its own database there, dropped when it finishes
+//   otherwise mongodb-memory-server starts a mongod. It downloads one on first
+//     use; without network access point it at a local binary instead:
+//     MONGOMS_SYSTEM_BINARY=/usr/bin/mongod npm test
+let server;
+
+const connect = async () => {
+  const uri = process.env.TEST_MONGODB_URI;
+  if (uri) {
+    await mongoose.connect(uri, { dbName: `test_${process.pid}` });
+    return;
+  }
+
+  // Required lazily so a TEST_MONGODB_URI run does not need the package
+  const { MongoMemoryServer } = require("mongodb-memory-server");
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+};
+
+const disconnect = async () => {
+  if (process.env.TEST_MONGODB_URI && mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+  }
+  await mongoose.disconnect();
+  if (server) await server.stop();
+};
+
+const reset = () => mongoose.connection.dropDatabase();
+
+module.exports = {
+  connect,
+  disconnect,
+  reset
+};
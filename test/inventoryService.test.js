@@ -0,0 +1,146 @@
+// Stock reservation against a real MongoDB (see helpers/db.js): concurrent orders
+// must never oversell, and an order that fails part-way gives back what it
+// had already reserved.
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const db = require("./helpers/db");
+
+const Product = require("../models/product");
+const Order = require("../models/order");
+const ShippingRule = require("../models/shippingRule");
+const { reserveStock } = require("../services/inventoryService");
+const { placeOrder } = require("../services/orderService");
+
+const userId = new mongoose.Types.ObjectId().toString();
+const deliveryAddress = {
+  name: "Test Buyer",
+  line1: "1 MG Road",
+  city: "Bengaluru",
+  state: "KA",
+  postalCode: "560001",
+  country: "IN"
+};
+
+before(db.connect);
+after(db.disconnect);
+beforeEach(db.reset);
+
+const createProduct = (fields) => Product.create({ price: 100, status: "active", ...fields });
+
+const stockOf = async (productId) => (await Product.findById(productId)).stock;
+
+const order = (items) => placeOrder(userId, items, { deliveryAddress, paymentMethod: "upi" });
+
+// Starts `count` orders at once and splits the outcomes
+const placeConcurrently = async (count, items) => {
+  const results = await Promise.allSettled(Array.from({ length: count }, () => order(items)));
+  return {
+    placed: results.filter(result => result.status === "fulfilled").map(result => result.value),
+    refused: results.filter(result => result.status === "rejected").map(result => result.reason)
+  };
+};
+
+test("concurrent orders for the last units never drive stock negative", async () => {
+  const lamp = await createProduct({ name: "Lamp", stock: 3 });
+
+  const { placed, refused } = await placeConcurrently(10, [{ productId: lamp._id, quantity: 1 }]);
+
+  assert.equal(placed.length, 3);
+  assert.equal(refused.length, 7);
+  for (const error of refused) {
+    assert.equal(error.status, 400);
+    assert.match(error.message, /Insufficient stock for Lamp/);
+  }
+  assert.equal(await stockOf(lamp._id), 0);
+  assert.equal(await Order.countDocuments(), 3);
+});
+
+test("concurrent orders for a variant keep variant and product stock in step", async () => {
+  const shirt = await createProduct({
+    name: "Shirt",
+    stock: 6,
+    variants: [
+      { sku: "SHIRT-M", attributes: { Size: "M" }, price: 100, stock: 5 },
+      { sku: "SHIRT-L", attributes: { Size: "L" }, price: 100, stock: 1 }
+    ]
+  });
+  const medium = shirt.variants[0]._id;
+
+  const { placed } = await placeConcurrently(6, [{ productId: shirt._id, variantId: medium, quantity: 2 }]);
+
+  assert.equal(placed.length, 2);
+  const stored = await Product.findById(shirt._id);
+  assert.equal(stored.variants.id(medium).stock, 1);
+  assert.equal(stored.stock, 2);
+});
+
+test("a line that cannot be reserved gives back the lines reserved before it", async () => {
+  const lamp = await createProduct({ name: "Lamp", stock: 5 });
+  const bulb = await createProduct({ name: "Bulb", stock: 1 });
+
+  await assert.rejects(
+    order([{ productId: lamp._id, quantity: 2 }, { productId: bulb._id, quantity: 2 }]),
+    { status: 400, message: "Insufficient stock for Bulb" }
+  );
+
+  assert.equal(await stockOf(lamp._id), 5);
+  assert.equal(await stockOf(bulb._id), 1);
+  assert.equal(await Order.countDocuments(), 0);
+});
+
+test("a product taken off the storefront fails its line and releases the others", async () => {
+  const lamp = await createProduct({ name: "Lamp", stock: 5 });
+  const shade = await createProduct({ name: "Shade", stock: 5, status: "archived" });
+
+  await assert.rejects(
+    reserveStock([{ productId: lamp._id, quantity: 1 }, { productId: shade._id, quantity: 1 }]),
+    { status: 400, message: "Shade is no longer available" }
+  );
+
+  assert.equal(await stockOf(lamp._id), 5);
+  assert.equal(await stockOf(shade._id), 5);
+});
+
+test("the same product listed twice is reserved as one line", async () => {
+  const lamp = await createProduct({ name: "Lamp", stock: 3 });
+
+  await assert.rejects(
+    reserveStock([{ productId: lamp._id, quantity: 2 }, { productId: lamp._id, quantity: 2 }]),
+    { status: 400 }
+  );
+  assert.equal(await stockOf(lamp._id), 3);
+
+  const reserved = await reserveStock([{ productId: lamp._id, quantity: 1 }, { productId: lamp._id, quantity: 2 }]);
+  assert.equal(reserved.length, 1);
+  assert.equal(reserved[0].quantity, 3);
+  assert.equal(await stockOf(lamp._id), 0);
+});
+
+test("concurrent orders that fail on a later line release the earlier ones", async () => {
+  const lamp = await createProduct({ name: "Lamp", stock: 10 });
+  const bulb = await createProduct({ name: "Bulb", stock: 3 });
+
+  const { placed, refused } = await placeConcurrently(8, [
+    { productId: lamp._id, quantity: 1 },
+    { productId: bulb._id, quantity: 1 }
+  ]);
+
+  assert.equal(placed.length, 3);
+  assert.equal(refused.length, 5);
+  assert.equal(await stockOf(lamp._id), 7);
+  assert.equal(await stockOf(bulb._id), 0);
+});
+
+test("an order that cannot be priced after reserving gives its stock back", async () => {
+  const anvil = await createProduct({ name: "Anvil", stock: 4, weight: 50 });
+  await ShippingRule.create({ name: "Light parcels", method: "weight", tiers: [{ upTo: 10, rate: 40 }] });
+
+  await assert.rejects(
+    order([{ productId: anvil._id, quantity: 1 }]),
+    { status: 400, code: "SHIPPING_UNAVAILABLE" }
+  );
+
+  assert.equal(await stockOf(anvil._id), 4);
+  assert.equal(await Order.countDocuments(), 0);
+});
@@ -0,0 +1,42 @@
+// The mock payment provider signs and verifies webhooks like a real gateway
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const createMockProvider = require("../services/payments/mockProvider");
+
+test("simulated webhooks verify and parse", async () => {
+  const provider = createMockProvider({ secret: "whsec_test" });
+  const { intentId } = await provider.createIntent({ reference: "order", amount: 100, currency: "INR" });
+
+  const paid = provider.simulate(intentId, "succeeded");
+  const event = provider.parseWebhook(paid.body, paid.headers);
+  assert.equal(event.type, "payment.succeeded");
+  assert.equal(event.intentId, intentId);
+  assert.match(event.id, /^mock_evt_/);
+
+  const declined = provider.simulate(intentId, "failed");
+  assert.deepEqual(
+    { ...provider.parseWebhook(declined.body, declined.headers), id: undefined },
+    { id: undefined, type: "payment.failed", intentId, failureReason: "Card declined" }
+  );
+});
+
+test("webhooks with a wrong or missing signature are rejected", () => {
+  const provider = createMockProvider({ secret: "whsec_test" });
+  const { body, headers } = provider.simulate("mock_pi_1", "succeeded");
+
+  const tampered = Buffer.from(body.toString().replace("payment.succeeded", "payment.failed"));
+  assert.throws(() => provider.parseWebhook(tampered, headers), { status: 400, code: "INVALID_SIGNATURE" });
+  assert.throws(() => provider.parseWebhook(body, {}), { status: 400, code: "INVALID_SIGNATURE" });
+
+  const other = createMockProvider({ secret: "whsec_other" });
+  assert.throws(() => other.parseWebhook(body, headers), { status: 400, code: "INVALID_SIGNATURE" });
+});
+
+test("without a webhook secret every webhook is refused", () => {
+  const signed = createMockProvider({ secret: "whsec_test" }).simulate("mock_pi_1", "succeeded");
+  const provider = createMockProvider({ secret: "" });
+
+  assert.throws(() => provider.parseWebhook(signed.body, signed.headers), { status: 503, code: "WEBHOOKS_DISABLED" });
+  assert.throws(() => provider.simulate("mock_pi_1", "succeeded"), { status: 503 });
+});
@@ -0,0 +1,143 @@
+// The payment flow end to end with the mock provider, against a real MongoDB
+// (see helpers/db.js): intent -> signed webhook -> paid or failed order, the
+// sweeper for unpaid orders, and refunds of cancelled paid orders.
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const db = require("./helpers/db");
+
+const Product = require("../models/product");
+const Order = require("../models/order");
+const Payment = require("../models/payment");
+const createMockProvider = require("../services/payments/mockProvider");
+const { setProvider } = require("../services/payments");
+const { placeOrder, cancelOrder } = require("../services/orderService");
+const paymentService = require("../services/paymentService");
+
+const userId = new mongoose.Types.ObjectId().toString();
+const customer = { userId, role: "user" };
+const provider = createMockProvider({ secret: "whsec_test" });
+
+before(async () => {
+  setProvider(provider);
+  await db.connect();
+});
+after(async () => {
+  setProvider(undefined);
+  await db.disconnect();
+});
+beforeEach(db.reset);
+
+// A pending order for 2 of a product with 5 in stock
+const newOrder = async () => {
+  const product = await Product.create({ name: "Lamp", price: 250, stock: 5, status: "active" });
+  const order = await placeOrder(userId, [{ productId: product._id, quantity: 2 }], {
+    deliveryAddress: { line1: "1 MG Road", city: "Bengaluru", country: "IN" },
+    paymentMethod: "upi"
+  });
+  return { product, order };
+};
+
+// Delivers the webhook the gateway would send for the intent
+const deliver = (intentId, outcome) => {
+  const { body, headers } = provider.simulate(intentId, outcome);
+  return paymentService.handleWebhook(body, headers);
+};
+
+test("a successful payment marks the order paid and confirms it", async () => {
+  const { order } = await newOrder();
+
+  const intent = await paymentService.createPaymentIntent(order._id, customer);
+  assert.equal(intent.amount, order.totalAmount);
+  assert.equal((await paymentService.createPaymentIntent(order._id, customer)).intentId, intent.intentId);
+
+  const { body, headers } = provider.simulate(intent.intentId, "succeeded");
+  const result = await paymentService.handleWebhook(body, headers);
+  assert.equal(result.payment.status, "succeeded");
+
+  const paid = await Order.findById(order._id);
+  assert.equal(paid.paymentStatus, "completed");
+  assert.equal(paid.orderStatus, "confirmed");
+  assert.ok(paid.paidAt);
+
+  const retry = await paymentService.handleWebhook(body, headers);
+  assert.equal(retry.duplicate, true);
+  await assert.rejects(paymentService.createPaymentIntent(order._id, customer), { status: 409 });
+});
+
+test("a failed payment can be retried with a new intent", async () => {
+  const { order } = await newOrder();
+
+  const first = await paymentService.createPaymentIntent(order._id, customer);
+  await deliver(first.intentId, "failed");
+
+  let stored = await Order.findById(order._id);
+  assert.equal(stored.paymentStatus, "failed");
+  assert.equal(stored.orderStatus, "pending");
+  assert.equal((await Payment.findOne({ intentId: first.intentId })).failureReason, "Card declined");
+
+  const second = await paymentService.createPaymentIntent(order._id, customer);
+  assert.notEqual(second.intentId, first.intentId);
+  await deliver(second.intentId, "succeeded");
+  await deliver(first.intentId, "failed");
+
+  stored = await Order.findById(order._id);
+  assert.equal(stored.paymentStatus, "completed");
+  assert.equal(stored.orderStatus, "confirmed");
+});
+
+test("webhooks with a bad signature change nothing", async () => {
+  const { order } = await newOrder();
+  const intent = await paymentService.createPaymentIntent(order._id, customer);
+  const { body } = provider.simulate(intent.intentId, "succeeded");
+
+  await assert.rejects(
+    paymentService.handleWebhook(body, { "x-payment-signature": "sha256=forged" }),
+    { status: 400, code: "INVALID_SIGNATURE" }
+  );
+  assert.equal((await Order.findById(order._id)).paymentStatus, "pending");
+});
+
+test("the sweeper cancels and restocks orders left unpaid past their window", async () => {
+  const { product, order: unpaid } = await newOrder();
+  const { order: paidOrder } = await newOrder();
+  const intent = await paymentService.createPaymentIntent(paidOrder._id, customer);
+  await deliver(intent.intentId, "succeeded");
+
+  assert.equal(await paymentService.cancelUnpaidOrders(new Date()), 0);
+  const cancelled = await paymentService.cancelUnpaidOrders(new Date(Date.now() + 24 * 60 * 60 * 1000));
+
+  assert.equal(cancelled, 1);
+  const swept = await Order.findById(unpaid._id);
+  assert.equal(swept.orderStatus, "cancelled");
+  assert.equal(swept.cancellation.stockRestored, true);
+  assert.equal((await Product.findById(product._id)).stock, 5);
+  assert.equal((await Order.findById(paidOrder._id)).orderStatus, "confirmed");
+});
+
+test("a payment arriving after the order was cancelled is refunded", async () => {
+  const { order } = await newOrder();
+  const intent = await paymentService.createPaymentIntent(order._id, customer);
+  await cancelOrder(order._id, { ...customer, reason: "Changed my mind" });
+
+  await deliver(intent.intentId, "succeeded");
+
+  const stored = await Order.findById(order._id);
+  assert.equal(stored.orderStatus, "cancelled");
+  assert.equal(stored.paymentStatus, "refunded");
+  assert.equal(stored.refundedTotal, order.totalAmount);
+});
+
+test("cancelling a paid order refunds it", async () => {
+  const { order } = await newOrder();
+  const intent = await paymentService.createPaymentIntent(order._id, customer);
+  await deliver(intent.intentId, "succeeded");
+
+  const cancelled = await cancelOrder(order._id, customer);
+
+  assert.equal(cancelled.orderStatus, "cancelled");
+  assert.equal(cancelled.paymentStatus, "refunded");
+  assert.equal(cancelled.refunds.length, 1);
+  assert.equal(cancelled.refunds[0].amount, order.totalAmount);
+  assert.match(cancelled.refunds[0].providerRefundId, /^mock_re_/);
+});
@@ -0,0 +1,187 @@
+// Storage backends and the image pipeline on top of them. The S3 adapter gets
+// a fake client standing in for the SDK, local storage writes to a temp dir,
+// and imageService stores through a backend swapped in with setStorage.
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const sharp = require("sharp");
+
+const Product = require("../models/product");
+const createLocalStorage = require("../services/storage/localStorage");
+const createS3Storage = require("../services/storage/s3Storage");
+const { getStorage, setStorage } = require("../services/storage");
+const imageService = require("../services/imageService");
+
+after(() => setStorage(undefined));
+
+// Records every command sent, like S3Client#send
+const fakeS3Client = () => {
+  const sent = [];
+  return {
+    sent,
+    async send(command) {
+      sent.push({ name: command.constructor.name, input: command.input });
+      return {};
+    }
+  };
+};
+
+// Keeps objects in a Map; put fails for keys matching `failOn`
+const memoryStorage = ({ failOn } = {}) => {
+  const objects = new Map();
+  return {
+    objects,
+    async put(key, buffer, contentType) {
+      if (failOn && failOn.test(key)) throw new Error("Storage is down");
+      objects.set(key, { buffer, contentType });
+      return this.urlFor(key);
+    },
+    async remove(key) {
+      objects.delete(key);
+    },
+    urlFor(key) {
+      return `mem://${key}`;
+    }
+  };
+};
+
+const png = (width, height) =>
+  sharp({ create: { width, height, channels: 3, background: "#336699" } }).png().toBuffer();
+
+const upload = async (name, width = 640, height = 480) => {
+  const buffer = await png(width, height);
+  return { originalname: name, mimetype: "image/png", size: buffer.length, buffer };
+};
+
+// An unsaved product; save() only resolves, the tests need no database
+const newProduct = () => {
+  const product = new Product({ name: "Lamp", price: 100 });
+  product.save = async () => product;
+  return product;
+};
+
+test("s3 storage puts and deletes objects through the client", async () => {
+  const client = fakeS3Client();
+  const storage = createS3Storage({ bucket: "media", endpoint: "http://localhost:9000/", forcePathStyle: true, client });
+
+  const url = await storage.put("products/1/a.png", Buffer.from("img"), "image/png");
+  await storage.remove("products/1/a.png");
+
+  assert.equal(url, "http://localhost:9000/media/products/1/a.png");
+  assert.deepEqual(client.sent.map(command => command.name), ["PutObjectCommand", "DeleteObjectCommand"]);
+  assert.deepEqual(client.sent[0].input, {
+    Bucket: "media",
+    Key: "products/1/a.png",
+    Body: Buffer.from("img"),
+    ContentType: "image/png"
+  });
+  assert.deepEqual(client.sent[1].input, { Bucket: "media", Key: "products/1/a.png" });
+});
+
+test("s3 storage builds public URLs from S3_PUBLIC_URL or the bucket", () => {
+  const client = fakeS3Client();
+
+  assert.equal(
+    createS3Storage({ bucket: "media", publicUrl: "https://cdn.example.com/", client }).urlFor("a.png"),
+    "https://cdn.example.com/a.png"
+  );
+  assert.equal(
+    createS3Storage({ bucket: "media", region: "ap-south-1", client }).urlFor("a.png"),
+    "https://media.s3.ap-south-1.amazonaws.com/a.png"
+  );
+  assert.throws(() => createS3Storage({ bucket: "", client }), /S3_BUCKET must be set/);
+});
+
+test("local storage writes, serves and removes files under its root", async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "uploads-"));
+  try {
+    const storage = createLocalStorage({ root, baseUrl: "/media/" });
+
+    const url = await storage.put("products/1/a.png", Buffer.from("img"));
+    assert.equal(url, "/media/products/1/a.png");
+    assert.equal(await fs.readFile(path.join(root, "products/1/a.png"), "utf8"), "img");
+
+    await storage.remove("products/1/a.png");
+    await assert.rejects(fs.access(path.join(root, "products/1/a.png")));
+    await storage.remove("products/1/missing.png");
+
+    await assert.rejects(storage.put("../outside.png", Buffer.from("img")), /Invalid storage key/);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
+
+test("STORAGE_DRIVER picks the backend and rejects unknown drivers", (t) => {
+  const driver = process.env.STORAGE_DRIVER;
+  t.after(() => {
+    if (driver === undefined) delete process.env.STORAGE_DRIVER;
+    else process.env.STORAGE_DRIVER = driver;
+    setStorage(undefined);
+  });
+
+  setStorage(undefined);
+  process.env.STORAGE_DRIVER = "ftp";
+  assert.throws(() => getStorage(), /Unknown STORAGE_DRIVER "ftp"/);
+
+  setStorage(undefined);
+  process.env.STORAGE_DRIVER = "local";
+  assert.equal(typeof getStorage().root, "string");
+  assert.equal(getStorage(), getStorage());
+});
+
+test("uploaded images are stored with a WebP thumbnail", async () => {
+  const storage = memoryStorage();
+  setStorage(storage);
+  const product = newProduct();
+
+  const images = await imageService.addImages(product, [await upload("front.png"), await upload("back.png")], ["Front"]);
+
+  assert.equal(images.length, 2);
+  assert.deepEqual(images.map(image => [image.alt, image.position, image.isPrimary]), [["Front", 0, true], ["", 1, false]]);
+  assert.equal(images[0].width, 640);
+  assert.equal(storage.objects.size, 4);
+
+  const thumbnail = storage.objects.get(product.images[0].thumbnailKey);
+  assert.equal(thumbnail.contentType, "image/webp");
+  const { format, width } = await sharp(thumbnail.buffer).metadata();
+  assert.equal(format, "webp");
+  assert.equal(width, 300);
+  assert.equal(images[0].thumbnailUrl, `mem://${product.images[0].thumbnailKey}`);
+});
+
+test("a failed upload removes the files stored before it", async () => {
+  const storage = memoryStorage({ failOn: /-thumb\.webp$/ });
+  setStorage(storage);
+  const product = newProduct();
+
+  await assert.rejects(imageService.addImages(product, [await upload("front.png")]), /Storage is down/);
+
+  assert.equal(storage.objects.size, 0);
+  assert.equal(product.images.length, 0);
+});
+
+test("files that are not images are refused before anything is stored", async () => {
+  const storage = memoryStorage();
+  setStorage(storage);
+  const fake = { originalname: "notes.png", mimetype: "image/png", size: 5, buffer: Buffer.from("hello") };
+
+  await assert.rejects(imageService.addImages(newProduct(), [fake]), { status: 400, code: "INVALID_FILE_TYPE" });
+  assert.equal(storage.objects.size, 0);
+});
+
+test("MAX_IMAGES_PER_PRODUCT is read when images are added", async (t) => {
+  const max = process.env.MAX_IMAGES_PER_PRODUCT;
+  t.after(() => {
+    if (max === undefined) delete process.env.MAX_IMAGES_PER_PRODUCT;
+    else process.env.MAX_IMAGES_PER_PRODUCT = max;
+  });
+  setStorage(memoryStorage());
+
+  process.env.MAX_IMAGES_PER_PRODUCT = "1";
+  await assert.rejects(
+    imageService.addImages(newProduct(), [await upload("a.png"), await upload("b.png")]),
+    { status: 400, message: "A product can have at most 1 images" }
+  );
+});
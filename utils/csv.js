@@ -0,0 +1,69 @@
+// Parses RFC 4180 CSV text into one object per row, keyed by the header row.
+// Quoted fields may contain commas, newlines and "" for a quote. Blank lines
+// are skipped.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  const endField = () => {
+    row.push(field);
+    field = "";
+  };
+  const endRow = () => {
+    endField();
+    if (row.some(value => value !== "")) rows.push(row);
+    row = [];
+  };
+
+  const input = String(text).replace(/^﻿/, "");
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === "\"" && input[i + 1] === "\"") {
+        field += "\"";
+        i += 1;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === "\"") {
+      quoted = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i += 1;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  endRow();
+
+  const [header = [], ...records] = rows;
+  const keys = header.map(key => key.trim());
+  return records.map(values => Object.fromEntries(keys.map((key, index) => [key, (values[index] || "").trim()])));
+};
+
+// Quotes a value when it holds a comma, quote or newline. Dates become ISO
+// strings. Text starting like a formula (=, +, -, @) gets a leading ' so
+// spreadsheets do not evaluate it.
+const csvValue = (value) => {
+  if (value === undefined || value === null) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+};
+
+// Builds CSV text from objects; `columns` picks and orders the fields
+const toCsv = (rows, columns) =>
+  [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(csvValue).join(","))
+    .join("\r\n") + "\r\n";
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
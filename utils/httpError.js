@@ -0,0 +1,23 @@
+const DEFAULT_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  500: "INTERNAL_ERROR"
+};
+
+// Creates an Error that carries the HTTP status a route should respond with.
+// The central error handler in index.js turns it into
+// { error: { code, message, fields[] } } (plus `details` when given).
+const httpError = (status, message, { code, fields = [], details } = {}) => {
+  const error = new Error(message);
+  error.name = "HttpError";
+  error.status = status;
+  error.code = code || DEFAULT_CODES[status] || "ERROR";
+  error.fields = fields;
+  error.details = details;
+  return error;
+};
+
+module.exports = httpError;
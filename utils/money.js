@@ -0,0 +1,22 @@
+// Rounds an amount to whole cents: 10.005 -> 10.01
+const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+// Splits `amount` over `weights` in proportion, in cents, so the parts add up
+// to exactly `amount`. The last part with a weight takes the rounding difference.
+const allocate = (amount, weights) => {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const last = weights.map(weight => weight > 0).lastIndexOf(true);
+  let remaining = roundMoney(amount);
+
+  return weights.map((weight, index) => {
+    if (index === last) return remaining;
+    const part = total > 0 && weight > 0 ? roundMoney((amount * weight) / total) : 0;
+    remaining = roundMoney(remaining - part);
+    return part;
+  });
+};
+
+module.exports = {
+  roundMoney,
+  allocate
+};
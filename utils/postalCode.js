@@ -0,0 +1,19 @@
+// Postal code formats for the countries we ship to most; others only get a
+// loose check. Codes are compared upper-case.
+const POSTAL_CODES = {
+  IN: /^[1-9][0-9]{5}$/,
+  US: /^[0-9]{5}(-[0-9]{4})?$/,
+  CA: /^[A-Z][0-9][A-Z] ?[0-9][A-Z][0-9]$/,
+  GB: /^[A-Z]{1,2}[0-9][A-Z0-9]? ?[0-9][A-Z]{2}$/,
+  DE: /^[0-9]{5}$/,
+  FR: /^[0-9]{5}$/,
+  AU: /^[0-9]{4}$/
+};
+const ANY_POSTAL_CODE = /^[A-Z0-9][A-Z0-9 -]{1,9}$/;
+
+const isValidPostalCode = (country, postalCode) =>
+  (POSTAL_CODES[String(country).toUpperCase()] || ANY_POSTAL_CODE).test(String(postalCode).toUpperCase());
+
+module.exports = {
+  isValidPostalCode
+};
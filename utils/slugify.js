@@ -0,0 +1,8 @@
+// "Home & Kitchen " -> "home-kitchen"
+module.exports = (text) => String(text)
+  .normalize("NFKD")
+  .replace(/[̀-ͯ]/g, "")
+  .toLowerCase()
+  .trim()
+  .replace(/[^a-z0-9]+/g, "-")
+  .replace(/^-+|-+$/g, "");
@@ -0,0 +1,55 @@
+const { Joi, objectId } = require("./common");
+const { isValidPostalCode } = require("../utils/postalCode");
+
+const checkPostalCode = (address, helpers) => {
+  if (address.postalCode && address.country && !isValidPostalCode(address.country, address.postalCode)) {
+    return helpers.message(`postalCode is not a valid ${address.country} postal code`);
+  }
+  return address;
+};
+
+const addressFields = {
+  name: Joi.string().trim().max(100),
+  line1: Joi.string().trim().max(200),
+  line2: Joi.string().trim().max(200).allow(""),
+  city: Joi.string().trim().max(100),
+  state: Joi.string().trim().max(100).allow(""),
+  postalCode: Joi.string().trim().uppercase().max(10),
+  country: Joi.string().trim().uppercase().length(2).pattern(/^[A-Z]{2}$/),
+  phone: Joi.string().trim().pattern(/^\+?[0-9 ()-]{6,20}$/).message("phone must be a phone number")
+};
+
+// A complete address, as entered at checkout or in the address book
+const address = () => Joi.object({
+  ...addressFields,
+  name: addressFields.name.required(),
+  line1: addressFields.line1.required(),
+  city: addressFields.city.required(),
+  postalCode: addressFields.postalCode.required(),
+  country: addressFields.country.required(),
+  phone: addressFields.phone.required()
+}).custom(checkPostalCode);
+
+const addressIdParams = Joi.object({
+  addressId: objectId().required()
+});
+
+const createAddressBody = address().keys({
+  label: Joi.string().trim().max(50).allow(""),
+  isDefault: Joi.boolean().default(false)
+});
+
+// Country and postal code are checked against each other by the service once
+// merged with the stored address
+const updateAddressBody = Joi.object({
+  ...addressFields,
+  label: Joi.string().trim().max(50).allow(""),
+  isDefault: Joi.boolean()
+}).min(1);
+
+module.exports = {
+  address,
+  addressIdParams,
+  createAddressBody,
+  updateAddressBody
+};
@@ -0,0 +1,48 @@
+const { Joi, objectId, email } = require("./common");
+const User = require("../models/user");
+const Order = require("../models/order");
+const { STAFF_ROLES } = require("../config/permissions");
+
+const userIdParams = Joi.object({
+  userId: objectId().required()
+});
+
+const inviteBody = Joi.object({
+  email: email().required(),
+  role: Joi.string().valid(...STAFF_ROLES).default("admin")
+});
+
+const roleBody = Joi.object({
+  role: Joi.string().valid(...User.schema.path("role").enumValues).required()
+});
+
+const assignProductBody = Joi.object({
+  productId: objectId().required(),
+  adminId: objectId().required()
+});
+
+const trackingBody = Joi.object({
+  orderId: objectId().required(),
+  status: Joi.string().valid(...Order.schema.path("deliveryTracking.status").enumValues).required(),
+  location: Joi.string().trim().allow(""),
+  estimatedDelivery: Joi.date()
+});
+
+const orderActionParams = Joi.object({
+  orderId: objectId().required(),
+  action: Joi.string().valid("confirm", "process", "ship", "deliver").required()
+});
+
+const orderActionBody = Joi.object({
+  note: Joi.string().trim().allow("")
+});
+
+module.exports = {
+  userIdParams,
+  inviteBody,
+  roleBody,
+  assignProductBody,
+  trackingBody,
+  orderActionParams,
+  orderActionBody
+};
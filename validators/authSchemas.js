@@ -0,0 +1,29 @@
+const { Joi, email } = require("./common");
+
+const signupBody = Joi.object({
+  name: Joi.string().trim().required(),
+  email: email().required(),
+  password: Joi.string().required(),
+  phone: Joi.string().trim().allow("")
+});
+
+const staffSignupBody = signupBody.keys({
+  token: Joi.string().required()
+});
+
+const loginBody = Joi.object({
+  email: email().required(),
+  password: Joi.string().required(),
+  cartToken: Joi.string()
+});
+
+const refreshTokenBody = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
+module.exports = {
+  signupBody,
+  staffSignupBody,
+  loginBody,
+  refreshTokenBody
+};
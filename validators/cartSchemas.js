@@ -0,0 +1,25 @@
+const { Joi, objectId } = require("./common");
+
+// variantId is required for products with variants
+const addToCartBody = Joi.object({
+  productId: objectId().required(),
+  variantId: objectId(),
+  quantity: Joi.number().integer().min(1).required()
+});
+
+// 0 removes the line
+const setQuantityBody = Joi.object({
+  variantId: objectId(),
+  quantity: Joi.number().integer().min(0).required()
+});
+
+// Without variantId every variant of the product is removed
+const removeFromCartQuery = Joi.object({
+  variantId: objectId()
+});
+
+module.exports = {
+  addToCartBody,
+  setQuantityBody,
+  removeFromCartQuery
+};
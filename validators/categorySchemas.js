@@ -0,0 +1,26 @@
+const { Joi, objectId } = require("./common");
+
+const categoryIdParams = Joi.object({
+  id: objectId().required()
+});
+
+const categoryFields = {
+  name: Joi.string().trim(),
+  slug: Joi.string().trim(),
+  description: Joi.string().allow(""),
+  parent: objectId().allow(null),
+  position: Joi.number().integer()
+};
+
+const createCategoryBody = Joi.object({
+  ...categoryFields,
+  name: categoryFields.name.required()
+});
+
+const updateCategoryBody = Joi.object(categoryFields).min(1);
+
+module.exports = {
+  categoryIdParams,
+  createCategoryBody,
+  updateCategoryBody
+};
@@ -0,0 +1,15 @@
+const Joi = require("joi");
+
+const objectId = () => Joi.string().pattern(/^[0-9a-fA-F]{24}$/, "ObjectId").messages({
+  "string.pattern.name": "{{#label}} must be a valid id"
+});
+
+// Emails are stored lowercased (see scripts/migrateEmails.js). Any TLD is
+// accepted, including internal ones like .local
+const email = () => Joi.string().trim().lowercase().email({ tlds: false });
+
+module.exports = {
+  Joi,
+  objectId,
+  email
+};
@@ -0,0 +1,53 @@
+const { Joi, objectId } = require("./common");
+
+const couponCode = () => Joi.string().trim().uppercase().max(50);
+
+const couponIdParams = Joi.object({
+  id: objectId().required()
+});
+
+const couponFields = {
+  code: couponCode().pattern(/^[A-Z0-9_-]+$/).message("code may only contain letters, digits, - and _"),
+  description: Joi.string().allow(""),
+  type: Joi.string().valid("percentage", "fixed"),
+  value: Joi.number().min(0).when("type", { is: "percentage", then: Joi.number().max(100) }),
+  maxDiscount: Joi.number().min(0).allow(null),
+  minOrderValue: Joi.number().min(0),
+  categories: Joi.array().items(objectId()).unique(),
+  products: Joi.array().items(objectId()).unique(),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  perUserLimit: Joi.number().integer().min(1).allow(null),
+  startsAt: Joi.date().iso().allow(null),
+  endsAt: Joi.date().iso().allow(null).when("startsAt", { is: Joi.date(), then: Joi.date().greater(Joi.ref("startsAt")) }),
+  active: Joi.boolean()
+};
+
+const createCouponBody = Joi.object({
+  ...couponFields,
+  code: couponFields.code.required(),
+  type: couponFields.type.required(),
+  value: couponFields.value.required()
+});
+
+// A percentage value above 100 is also rejected by the service when only
+// the value or only the type changes
+const updateCouponBody = Joi.object(couponFields).min(1);
+
+const listCouponsQuery = Joi.object({
+  active: Joi.boolean(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const validateCouponBody = Joi.object({
+  code: couponCode().required()
+});
+
+module.exports = {
+  couponCode,
+  couponIdParams,
+  createCouponBody,
+  updateCouponBody,
+  listCouponsQuery,
+  validateCouponBody
+};
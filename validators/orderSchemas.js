@@ -0,0 +1,63 @@
+const { Joi, objectId } = require("./common");
+const { couponCode } = require("./couponSchemas");
+const { address } = require("./addressSchemas");
+const Order = require("../models/order");
+
+const paymentMethod = () => Joi.string().valid(...Order.schema.path("paymentMethod").enumValues);
+
+// ISO 3166 country code, optionally with a subdivision ("IN", "IN-KA")
+const region = () => Joi.string().trim().uppercase().pattern(/^[A-Z]{2}(-[A-Z0-9]{1,3})?$/)
+  .message("region must be a country code like IN or IN-KA");
+
+const orderItems = () => Joi.array().items(Joi.object({
+  productId: objectId().required(),
+  variantId: objectId(),
+  quantity: Joi.number().integer().min(1).required()
+})).min(1);
+
+const orderIdParams = Joi.object({
+  orderId: objectId().required()
+});
+
+const placeOrderBody = Joi.object({
+  items: orderItems().required(),
+  // Without either, the default address is used
+  deliveryAddress: address(),
+  addressId: objectId(),
+  paymentMethod: paymentMethod().required(),
+  couponCode: couponCode()
+}).oxor("deliveryAddress", "addressId");
+
+const quoteOrderBody = Joi.object({
+  items: orderItems().required(),
+  couponCode: couponCode(),
+  region: region()
+});
+
+const checkoutPreviewBody = Joi.object({
+  productIds: Joi.array().items(objectId()),
+  deliveryAddress: address(),
+  addressId: objectId(),
+  couponCode: couponCode()
+}).oxor("deliveryAddress", "addressId");
+
+const checkoutBody = checkoutPreviewBody.keys({
+  paymentMethod: paymentMethod().required()
+});
+
+const cancelOrderBody = Joi.object({
+  reason: Joi.string().trim().allow("")
+});
+
+const cancelOrderQuery = cancelOrderBody;
+
+module.exports = {
+  region,
+  orderIdParams,
+  placeOrderBody,
+  quoteOrderBody,
+  checkoutPreviewBody,
+  checkoutBody,
+  cancelOrderBody,
+  cancelOrderQuery
+};
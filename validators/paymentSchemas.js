@@ -0,0 +1,14 @@
+const { Joi } = require("./common");
+
+const intentIdParams = Joi.object({
+  intentId: Joi.string().trim().max(100).required()
+});
+
+const simulatePaymentBody = Joi.object({
+  outcome: Joi.string().valid("succeeded", "failed").required()
+});
+
+module.exports = {
+  intentIdParams,
+  simulatePaymentBody
+};
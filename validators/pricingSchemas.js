@@ -0,0 +1,54 @@
+const { Joi, objectId } = require("./common");
+const { region } = require("./orderSchemas");
+
+const ruleIdParams = Joi.object({
+  id: objectId().required()
+});
+
+const shippingRuleFields = {
+  name: Joi.string().trim(),
+  region: region().allow(null),
+  method: Joi.string().valid("flat", "weight", "amount"),
+  flatRate: Joi.number().min(0),
+  tiers: Joi.array().items(Joi.object({
+    upTo: Joi.number().min(0).allow(null),
+    rate: Joi.number().min(0).required()
+  })),
+  freeShippingThreshold: Joi.number().min(0).allow(null),
+  active: Joi.boolean()
+};
+
+// Tiered rules need at least one tier, flat rules a flatRate
+const createShippingRuleBody = Joi.object({
+  ...shippingRuleFields,
+  name: shippingRuleFields.name.required(),
+  method: shippingRuleFields.method.required(),
+  flatRate: shippingRuleFields.flatRate.when("method", { is: "flat", then: Joi.required() }),
+  tiers: shippingRuleFields.tiers.when("method", { is: Joi.valid("weight", "amount"), then: Joi.array().min(1).required() })
+});
+
+const updateShippingRuleBody = Joi.object(shippingRuleFields).min(1);
+
+const taxRuleFields = {
+  name: Joi.string().trim(),
+  region: region().allow(null),
+  category: objectId().allow(null),
+  rate: Joi.number().min(0).max(100),
+  active: Joi.boolean()
+};
+
+const createTaxRuleBody = Joi.object({
+  ...taxRuleFields,
+  name: taxRuleFields.name.required(),
+  rate: taxRuleFields.rate.required()
+});
+
+const updateTaxRuleBody = Joi.object(taxRuleFields).min(1);
+
+module.exports = {
+  ruleIdParams,
+  createShippingRuleBody,
+  updateShippingRuleBody,
+  createTaxRuleBody,
+  updateTaxRuleBody
+};
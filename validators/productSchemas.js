@@ -0,0 +1,172 @@
+const { Joi, objectId } = require("./common");
+const { SORTS } = require("../services/productService");
+const { LIST_STATUSES } = require("../services/productStatusService");
+const { REVIEW_STATUSES, REVIEW_SORTS } = require("../services/reviewService");
+
+const idParams = Joi.object({
+  id: objectId().required()
+});
+
+const productIdParams = Joi.object({
+  productId: objectId().required()
+});
+
+const productFields = {
+  name: Joi.string().trim(),
+  price: Joi.number().min(0),
+  description: Joi.string().allow(""),
+  category: objectId().allow(null),
+  stock: Joi.number().integer().min(0),
+  weight: Joi.number().min(0)
+};
+
+// New products start as drafts unless created active (optionally scheduled)
+const addProductBody = Joi.object({
+  ...productFields,
+  name: productFields.name.required(),
+  price: productFields.price.required(),
+  status: Joi.string().valid("draft", "active"),
+  publishAt: Joi.date().iso()
+});
+
+const publishProductBody = Joi.object({
+  publishAt: Joi.date().iso()
+});
+
+const unpublishProductBody = Joi.object({
+  status: Joi.string().valid("draft", "archived").default("draft")
+});
+
+const updateProductBody = Joi.object(productFields).min(1);
+
+const reviewFields = {
+  rating: Joi.number().integer().min(1).max(5),
+  comment: Joi.string().allow("")
+};
+
+const reviewBody = Joi.object({
+  ...reviewFields,
+  rating: reviewFields.rating.required()
+});
+
+const updateReviewBody = Joi.object(reviewFields).min(1);
+
+const reviewParams = Joi.object({
+  productId: objectId().required(),
+  reviewId: objectId().required()
+});
+
+const reviewIdParams = Joi.object({
+  reviewId: objectId().required()
+});
+
+const listReviewsQuery = Joi.object({
+  sort: Joi.string().valid(...Object.keys(REVIEW_SORTS)).default("newest"),
+  rating: Joi.number().integer().min(1).max(5),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10)
+});
+
+const moderateReviewBody = Joi.object({
+  status: Joi.string().valid("approved", "rejected").required(),
+  note: Joi.string().trim().allow("")
+});
+
+const moderationQueueQuery = Joi.object({
+  status: Joi.string().valid(...REVIEW_STATUSES).default("pending"),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const listProductsQuery = Joi.object({
+  q: Joi.string().trim().max(200),
+  category: Joi.string().trim().description("Category id or slug"),
+  minPrice: Joi.number().min(0),
+  maxPrice: Joi.number().min(Joi.ref("minPrice")),
+  inStock: Joi.boolean(),
+  minRating: Joi.number().min(0).max(5),
+  sort: Joi.string().valid(...Object.keys(SORTS)),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string()
+});
+
+const adminListProductsQuery = listProductsQuery.keys({
+  status: Joi.string().valid(...LIST_STATUSES),
+  deleted: Joi.boolean().default(false)
+});
+
+const variantParams = Joi.object({
+  productId: objectId().required(),
+  variantId: objectId().required()
+});
+
+const optionsBody = Joi.object({
+  options: Joi.array().items(Joi.object({
+    name: Joi.string().trim().required(),
+    values: Joi.array().items(Joi.string().trim()).min(1).unique().required()
+  })).unique("name").required()
+});
+
+const variantFields = {
+  sku: Joi.string().trim(),
+  attributes: Joi.object().pattern(Joi.string(), Joi.string().trim()),
+  price: Joi.number().min(0),
+  stock: Joi.number().integer().min(0),
+  weight: Joi.number().min(0).allow(null)
+};
+
+const addVariantBody = Joi.object({
+  ...variantFields,
+  sku: variantFields.sku.required(),
+  attributes: variantFields.attributes.required(),
+  price: variantFields.price.required(),
+  stock: variantFields.stock.default(0)
+});
+
+const updateVariantBody = Joi.object(variantFields).min(1);
+
+const imageParams = Joi.object({
+  productId: objectId().required(),
+  imageId: objectId().required()
+});
+
+// Multipart text fields: one alt text, or one per uploaded file
+const uploadImagesBody = Joi.object({
+  alt: Joi.alternatives(Joi.string().allow(""), Joi.array().items(Joi.string().allow("")))
+});
+
+const updateImageBody = Joi.object({
+  alt: Joi.string().allow(""),
+  isPrimary: Joi.boolean().valid(true)
+}).min(1);
+
+const reorderImagesBody = Joi.object({
+  order: Joi.array().items(objectId()).min(1).unique().required()
+});
+
+module.exports = {
+  listProductsQuery,
+  adminListProductsQuery,
+  publishProductBody,
+  unpublishProductBody,
+  imageParams,
+  uploadImagesBody,
+  updateImageBody,
+  reorderImagesBody,
+  variantParams,
+  optionsBody,
+  addVariantBody,
+  updateVariantBody,
+  idParams,
+  productIdParams,
+  addProductBody,
+  updateProductBody,
+  reviewBody,
+  updateReviewBody,
+  reviewParams,
+  reviewIdParams,
+  listReviewsQuery,
+  moderateReviewBody,
+  moderationQueueQuery
+};
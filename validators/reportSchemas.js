@@ -0,0 +1,38 @@
+const { Joi } = require("./common");
+
+const DEFAULT_RANGE_DAYS = 30;
+
+// `from` is inclusive, `to` exclusive. Without them the last 30 days are reported.
+const withRange = ({ from, to, ...rest }, helpers) => {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+  if (start >= end) {
+    return helpers.message("from must be before to");
+  }
+  return { ...rest, from: start, to: end };
+};
+
+const rangeFields = {
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  format: Joi.string().valid("json", "csv").default("json")
+};
+
+const reportQuery = Joi.object(rangeFields).custom(withRange);
+
+const revenueQuery = Joi.object({
+  ...rangeFields,
+  interval: Joi.string().valid("day", "week", "month").default("day")
+}).custom(withRange);
+
+const topQuery = Joi.object({
+  ...rangeFields,
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  sortBy: Joi.string().valid("units", "revenue").default("revenue")
+}).custom(withRange);
+
+module.exports = {
+  reportQuery,
+  revenueQuery,
+  topQuery
+};
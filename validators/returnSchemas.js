@@ -0,0 +1,51 @@
+const { Joi, objectId } = require("./common");
+const ReturnRequest = require("../models/returnRequest");
+
+const returnIdParams = Joi.object({
+  returnId: objectId().required()
+});
+
+const requestReturnBody = Joi.object({
+  items: Joi.array().items(Joi.object({
+    itemId: objectId().required(),
+    quantity: Joi.number().integer().min(1).required(),
+    reason: Joi.string().trim().max(500).allow("")
+  })).min(1).unique("itemId").required(),
+  reason: Joi.string().trim().max(1000).required()
+});
+
+const listReturnsQuery = Joi.object({
+  orderId: objectId(),
+  status: Joi.string().valid(...ReturnRequest.schema.path("status").enumValues),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const reviewReturnBody = Joi.object({
+  status: Joi.string().valid("approved", "rejected").required(),
+  note: Joi.string().trim().max(1000).allow("")
+});
+
+const receiveReturnBody = Joi.object({
+  restock: Joi.boolean().default(true)
+});
+
+const refundReturnBody = Joi.object({
+  amount: Joi.number().positive(),
+  note: Joi.string().trim().max(500).allow("")
+});
+
+const refundOrderBody = Joi.object({
+  amount: Joi.number().positive(),
+  reason: Joi.string().trim().max(500).required()
+});
+
+module.exports = {
+  returnIdParams,
+  requestReturnBody,
+  listReturnsQuery,
+  reviewReturnBody,
+  receiveReturnBody,
+  refundReturnBody,
+  refundOrderBody
+};
@@ -0,0 +1,54 @@
+const { Joi, objectId } = require("./common");
+const Shipment = require("../models/shipment");
+
+const shipmentStatus = () => Joi.string().trim().lowercase().valid(...Shipment.schema.path("status").enumValues);
+
+const shipmentIdParams = Joi.object({
+  shipmentId: objectId().required()
+});
+
+const trackingParams = Joi.object({
+  trackingNumber: Joi.string().trim().max(100).required()
+});
+
+const trackingQuery = Joi.object({
+  carrier: Joi.string().trim().max(50)
+});
+
+// Without items, every line not yet in a shipment goes in this one
+const createShipmentBody = Joi.object({
+  carrier: Joi.string().trim().max(50).required(),
+  trackingNumber: Joi.string().trim().max(100).required(),
+  items: Joi.array().items(Joi.object({
+    itemId: objectId().required(),
+    quantity: Joi.number().integer().min(1).required()
+  })).min(1).unique("itemId"),
+  estimatedDelivery: Joi.date().iso()
+});
+
+const shipmentEventBody = Joi.object({
+  status: shipmentStatus().required(),
+  location: Joi.string().trim().max(200).allow(""),
+  description: Joi.string().trim().max(500).allow(""),
+  occurredAt: Joi.date().iso().max("now"),
+  estimatedDelivery: Joi.date().iso()
+});
+
+// One event of a carrier feed (a CSV row or a JSON array entry)
+const feedEvent = shipmentEventBody.keys({
+  carrier: Joi.string().trim().max(50).required(),
+  trackingNumber: Joi.string().trim().max(100).required(),
+  location: Joi.string().trim().max(200).allow("").empty(""),
+  description: Joi.string().trim().max(500).allow("").empty(""),
+  occurredAt: Joi.date().iso().max("now").required(),
+  estimatedDelivery: Joi.date().iso().empty("")
+});
+
+module.exports = {
+  shipmentIdParams,
+  trackingParams,
+  trackingQuery,
+  createShipmentBody,
+  shipmentEventBody,
+  feedEvent
+};
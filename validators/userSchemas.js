@@ -0,0 +1,11 @@
+const { Joi, email } = require("./common");
+
+const updateProfileBody = Joi.object({
+  name: Joi.string().trim(),
+  email: email(),
+  phone: Joi.string().trim().allow("")
+}).min(1);
+
+module.exports = {
+  updateProfileBody
+};
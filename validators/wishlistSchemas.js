@@ -0,0 +1,29 @@
+const { Joi, objectId } = require("./common");
+
+// variantId is optional: products with variants can be saved without choosing one
+const addToWishlistBody = Joi.object({
+  productId: objectId().required(),
+  variantId: objectId()
+});
+
+// Without variantId every saved variant of the product is removed
+const removeFromWishlistQuery = Joi.object({
+  variantId: objectId()
+});
+
+// variantId picks the variant for an entry saved without one
+const moveToCartBody = Joi.object({
+  variantId: objectId(),
+  quantity: Joi.number().integer().min(1).default(1)
+});
+
+const saveForLaterBody = Joi.object({
+  variantId: objectId()
+});
+
+module.exports = {
+  addToWishlistBody,
+  removeFromWishlistQuery,
+  moveToCartBody,
+  saveForLaterBody
+};